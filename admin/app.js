@@ -0,0 +1,578 @@
+// Веб-админка Duck Shop: работает через те же /api/admin/* маршруты, что и бот.
+// Вход — cookie-сессия (POST /api/admin/session); изменяющие запросы несут
+// CSRF-токен из ответа сессии в заголовке x-csrf-token.
+"use strict";
+
+const STATUS_LABELS = {
+  created: "Создан",
+  paid: "Оплачен",
+  awaiting_email: "Ждет email",
+  awaiting_code: "Ждет код",
+  in_progress: "В работе",
+  completed: "Выполнен",
+  rejected: "Отклонен",
+  refunded: "Возвращен",
+  expired: "Истек"
+};
+
+const state = {
+  csrfToken: null,
+  tab: "orders",
+  filters: {},
+  cursor: null,
+  selectedOrder: null,
+  products: [],
+  events: null
+};
+
+const $ = (selector) => document.querySelector(selector);
+
+// Элемент с атрибутами и детьми; текст вставляется как текст, без разбора HTML
+function h(tag, attributes = {}, ...children) {
+  const element = document.createElement(tag);
+
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value === null || value === undefined || value === false) continue;
+
+    if (name.startsWith("on")) {
+      element.addEventListener(name.slice(2), value);
+    } else if (name === "class") {
+      element.className = value;
+    } else {
+      element.setAttribute(name, value === true ? "" : value);
+    }
+  }
+
+  for (const child of children.flat()) {
+    if (child === null || child === undefined || child === false) continue;
+    element.append(child instanceof Node ? child : String(child));
+  }
+  return element;
+}
+
+const formatDate = (value) => value ? new Date(value).toLocaleString("ru-RU") : "—";
+
+// Суммы приходят в минорных единицах валюты: 19900 RUB → 199 ₽
+const minorFactor = (currency) => 10 ** new Intl.NumberFormat("ru-RU", { style: "currency", currency }).resolvedOptions().maximumFractionDigits;
+const formatAmount = (value, currency) => new Intl.NumberFormat("ru-RU", { style: "currency", currency }).format((value ?? 0) / minorFactor(currency));
+
+// "USD:2.49, EUR:2.29" ↔ { USD: 2.49, EUR: 2.29 } — цены в форме и курсы валют
+function parsePairs(text) {
+  const pairs = {};
+
+  for (const part of text.split(",").map(item => item.trim()).filter(Boolean)) {
+    const [key, value] = part.split(":").map(item => item.trim());
+    if (!/^[A-Za-z]{3}$/.test(key || "") || !(Number(value) > 0)) {
+      throw new Error(`Неверное значение «${part}», нужно «USD:2.49»`);
+    }
+    pairs[key.toUpperCase()] = Number(value);
+  }
+  return pairs;
+}
+
+const formatPairs = (pairs) => Object.entries(pairs || {}).map(([key, value]) => `${key}:${value}`).join(", ");
+
+// Ключи, убранные из списка, уходят как null — так PATCH их удаляет
+const withRemoved = (next, current) => ({
+  ...Object.fromEntries(Object.keys(current || {}).map(key => [key, null])),
+  ...next
+});
+const GIFT_STATUS_LABELS = {
+  awaiting_payment: "ждет оплаты",
+  pending: "ждет получателя",
+  redeemed: "активирован",
+  expired: "истек"
+};
+
+const statusBadge = (status) => h("span", { class: `status status-${status}` }, STATUS_LABELS[status] || status);
+
+class ApiError extends Error {
+  constructor(status, body) {
+    super(body?.error || `HTTP ${status}`);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+async function api(method, path, body) {
+  const headers = { Accept: "application/json" };
+
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (method !== "GET" && state.csrfToken) headers["x-csrf-token"] = state.csrfToken;
+
+  const response = await fetch(path, {
+    method,
+    headers,
+    credentials: "same-origin",
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const data = await response.json().catch(() => null);
+
+  if (response.status === 401 && path !== "/api/admin/session") {
+    showLogin();
+  }
+  if (!response.ok || data?.success === false) {
+    throw new ApiError(response.status, data);
+  }
+  return data;
+}
+
+function errorText(error) {
+  const details = (error.body?.errors || [])
+    .map(e => `${e.field || e.item_id || ""}: ${e.message || e.code || ""}`)
+    .join("; ");
+  return details ? `${error.message} (${details})` : error.message;
+}
+
+function notify(message, isError = false) {
+  const notice = $("#notice");
+  notice.textContent = message;
+  notice.classList.toggle("error", isError);
+  notice.hidden = false;
+
+  clearTimeout(notify.timer);
+  notify.timer = setTimeout(() => { notice.hidden = true; }, 5000);
+}
+
+// =========== ВХОД ===========
+
+function showLogin() {
+  state.csrfToken = null;
+  state.events?.close();
+  $("#app").hidden = true;
+  $("#login").hidden = false;
+}
+
+function showApp(session) {
+  state.csrfToken = session.csrf_token;
+  $("#login").hidden = true;
+  $("#app").hidden = false;
+
+  switchTab(state.tab);
+  connectEvents();
+}
+
+$("#login-form").addEventListener("submit", async (event) => {
+  event.preventDefault();
+  $("#login-error").textContent = "";
+
+  try {
+    const session = await api("POST", "/api/admin/session", { password: event.target.password.value });
+    event.target.reset();
+    showApp(session);
+  } catch (error) {
+    $("#login-error").textContent = error.status === 401 ? "Неверный пароль" : errorText(error);
+  }
+});
+
+$("#logout").addEventListener("click", async () => {
+  await api("DELETE", "/api/admin/session").catch(() => {});
+  showLogin();
+});
+
+// =========== ВКЛАДКИ ===========
+
+const TAB_LOADERS = {
+  orders: () => loadOrders(),
+  products: () => loadProducts(),
+  settings: () => loadSettings()
+};
+
+function switchTab(tab) {
+  state.tab = tab;
+
+  for (const button of document.querySelectorAll(".tab")) {
+    button.classList.toggle("active", button.dataset.tab === tab);
+  }
+  for (const panel of document.querySelectorAll(".tab-panel")) {
+    panel.hidden = panel.id !== `tab-${tab}`;
+  }
+
+  TAB_LOADERS[tab]().catch(error => notify(errorText(error), true));
+}
+
+for (const button of document.querySelectorAll(".tab")) {
+  button.addEventListener("click", () => switchTab(button.dataset.tab));
+}
+
+// =========== ЗАКАЗЫ ===========
+
+for (const [status, label] of Object.entries(STATUS_LABELS)) {
+  $("#order-filters select[name=status]").append(h("option", { value: status }, label));
+}
+
+$("#order-filters").addEventListener("submit", (event) => {
+  event.preventDefault();
+
+  const form = new FormData(event.target);
+  state.filters = Object.fromEntries([...form].filter(([, value]) => value !== ""));
+  loadOrders().catch(error => notify(errorText(error), true));
+});
+
+$("#orders-more").addEventListener("click", () => {
+  loadOrders({ append: true }).catch(error => notify(errorText(error), true));
+});
+
+async function loadOrders({ append = false } = {}) {
+  const query = new URLSearchParams({ limit: "50", ...state.filters });
+  if (append && state.cursor) query.set("cursor", state.cursor);
+
+  const data = await api("GET", `/api/admin/orders?${query}`);
+  const body = $("#orders-body");
+
+  if (!append) body.replaceChildren();
+
+  for (const order of data.orders) {
+    body.append(h("tr", {
+      class: `clickable${order.id === state.selectedOrder ? " selected" : ""}`,
+      "data-id": order.id,
+      onclick: () => openOrder(order.id)
+    },
+      h("td", {}, order.gift ? `🎁 ${order.id}` : order.id),
+      h("td", {}, statusBadge(order.status)),
+      h("td", {}, order.email || "—"),
+      h("td", {}, formatAmount(order.amount, order.currency)),
+      h("td", {}, formatDate(order.created_at))
+    ));
+  }
+
+  state.cursor = data.next_cursor;
+  $("#orders-more").hidden = !data.next_cursor;
+  $("#orders-summary").textContent = `Найдено ${data.matched_count} из ${data.total_count}`;
+}
+
+async function openOrder(id) {
+  state.selectedOrder = id;
+
+  for (const row of document.querySelectorAll("#orders-body tr")) {
+    row.classList.toggle("selected", row.dataset.id === id);
+  }
+
+  const { order, allowed_statuses: allowed } = await api("GET", `/api/admin/orders/${encodeURIComponent(id)}`);
+  renderOrder(order, allowed);
+}
+
+function renderOrder(order, allowed) {
+  const detail = $("#order-detail");
+  const field = (label, value) => [h("dt", {}, label), h("dd", {}, value ?? "—")];
+
+  const statusForm = h("form", { class: "form", onsubmit: (event) => changeStatus(event, order.id) },
+    h("h3", {}, "Изменить статус"),
+    h("select", { name: "status", required: true, disabled: allowed.length === 0 },
+      allowed.map(status => h("option", { value: status }, STATUS_LABELS[status] || status))
+    ),
+    h("textarea", { name: "admin_comment", maxlength: "1000", placeholder: "Комментарий (увидит покупатель)" }),
+    h("div", { class: "actions" },
+      h("button", { type: "submit", disabled: allowed.length === 0 }, "Применить")
+    )
+  );
+
+  const gift = order.gift;
+  const giftForm = gift && gift.status === "pending" && h("form", { class: "form", onsubmit: (event) => reassignGift(event, order.id) },
+    h("h3", {}, "Переназначить подарок"),
+    h("label", {}, "Email получателя", h("input", { name: "recipient_email", type: "email", value: gift.recipient_email || "" })),
+    h("textarea", { name: "message", maxlength: "500", placeholder: "Сообщение получателю" }, gift.message || ""),
+    h("div", { class: "actions" },
+      h("button", { type: "submit" }, "Отправить новую ссылку")
+    )
+  );
+
+  detail.replaceChildren(
+    h("h2", {}, order.id),
+    h("dl", {},
+      field("Статус", statusBadge(order.status)),
+      field("Email", order.email),
+      field("Код", order.code_wiped_at ? `стерт ${formatDate(order.code_wiped_at)}` : order.code),
+      field("Сумма", `${formatAmount(order.amount, order.currency)}${order.discount ? ` (скидка ${formatAmount(order.discount, order.currency)}, ${order.promo_code})` : ""}`),
+      field("Возвращено", formatAmount(order.refunded_amount, order.currency)),
+      field("Оплата", `${order.payment.provider}: ${order.payment.status || "—"}`),
+      field("Оплачен", formatDate(order.payment.paid_at)),
+      field("Создан", formatDate(order.created_at)),
+      field("Комментарий", order.admin_comment),
+      gift && [
+        field("Подарок", `${GIFT_STATUS_LABELS[gift.status] || gift.status}${gift.expires_at ? `, ссылка до ${formatDate(gift.expires_at)}` : ""}`),
+        field("Получатель", gift.recipient_email),
+        field("Сообщение", gift.message)
+      ]
+    ),
+    h("h3", {}, "Состав"),
+    h("table", { class: "table" },
+      h("tbody", {}, order.lines.map(line => h("tr", {},
+        h("td", {}, line.name || line.product_id),
+        h("td", {}, `× ${line.quantity}`),
+        h("td", {}, formatAmount(line.total, order.currency))
+      )))
+    ),
+    order.refunds.length > 0 && [
+      h("h3", {}, "Возвраты"),
+      h("table", { class: "table" },
+        h("tbody", {}, order.refunds.map(refund => h("tr", {},
+          h("td", {}, formatAmount(refund.amount, order.currency)),
+          h("td", {}, refund.status),
+          h("td", {}, refund.reason || ""),
+          h("td", {}, formatDate(refund.created_at))
+        )))
+      )
+    ],
+    h("h3", {}, "История"),
+    h("table", { class: "table" },
+      h("tbody", {}, [...order.history].reverse().map(entry => h("tr", {},
+        h("td", {}, formatDate(entry.at)),
+        h("td", {}, statusBadge(entry.to)),
+        h("td", {}, entry.actor),
+        h("td", {}, entry.comment || "")
+      )))
+    ),
+    statusForm,
+    giftForm
+  );
+  detail.hidden = false;
+}
+
+async function reassignGift(event, orderId) {
+  event.preventDefault();
+
+  const form = event.target;
+  const body = { message: form.elements.message.value.trim() || null };
+  if (form.elements.recipient_email.value.trim()) body.recipient_email = form.elements.recipient_email.value.trim();
+
+  try {
+    await api("POST", `/api/admin/orders/${encodeURIComponent(orderId)}/gift`, body);
+    notify(`Подарок ${orderId}: новая ссылка отправлена`);
+    await Promise.all([openOrder(orderId), loadOrders()]);
+  } catch (error) {
+    notify(errorText(error), true);
+  }
+}
+
+async function changeStatus(event, orderId) {
+  event.preventDefault();
+
+  const form = event.target;
+  const body = { order_id: orderId, status: form.status.value };
+  if (form.admin_comment.value.trim()) body.admin_comment = form.admin_comment.value.trim();
+
+  try {
+    await api("POST", "/api/order-status-update", body);
+    notify(`Статус заказа ${orderId}: ${STATUS_LABELS[body.status]}`);
+    await Promise.all([openOrder(orderId), loadOrders()]);
+  } catch (error) {
+    notify(errorText(error), true);
+  }
+}
+
+// =========== ТОВАРЫ ===========
+
+async function loadProducts() {
+  const data = await api("GET", "/api/admin/products");
+  state.products = data.products;
+  renderProducts();
+}
+
+function renderProducts() {
+  const rows = state.products.map((product, index) => h("tr", {},
+    h("td", { class: "row-actions" },
+      h("button", { class: "secondary", title: "Выше", disabled: index === 0, onclick: () => moveProduct(index, -1) }, "↑"),
+      h("button", { class: "secondary", title: "Ниже", disabled: index === state.products.length - 1, onclick: () => moveProduct(index, 1) }, "↓")
+    ),
+    h("td", {}, product.id),
+    h("td", {}, product.name),
+    h("td", {}, Object.entries(product.prices || {}).map(([currency, price]) => formatAmount(price, currency)).join(" · ")),
+    h("td", {}, product.stock ?? "∞"),
+    h("td", {}, product.category || "—"),
+    h("td", {}, product.active === false ? "нет" : "да"),
+    h("td", { class: "row-actions" },
+      h("button", { class: "secondary", onclick: () => editProduct(product) }, "Изменить"),
+      h("button", { class: "danger", onclick: () => deleteProduct(product) }, "Удалить")
+    )
+  ));
+
+  $("#products-body").replaceChildren(...rows);
+}
+
+async function moveProduct(index, shift) {
+  const ids = state.products.map(product => product.id);
+  [ids[index], ids[index + shift]] = [ids[index + shift], ids[index]];
+
+  try {
+    await api("POST", "/api/admin/products/reorder", { ids });
+    await loadProducts();
+  } catch (error) {
+    notify(errorText(error), true);
+  }
+}
+
+async function deleteProduct(product) {
+  if (!confirm(`Удалить товар «${product.name}»?`)) return;
+
+  try {
+    await api("DELETE", `/api/admin/products/${encodeURIComponent(product.id)}`);
+    notify(`Товар ${product.id} удален`);
+    await loadProducts();
+  } catch (error) {
+    notify(errorText(error), true);
+  }
+}
+
+const productForm = $("#product-form");
+
+function editProduct(product) {
+  productForm.dataset.editing = product.id;
+  $("#product-form-title").textContent = `Товар ${product.id}`;
+  $("#product-form-cancel").hidden = false;
+
+  productForm.elements.id.value = product.id;
+  productForm.elements.id.disabled = true;
+  productForm.elements.name.value = product.name;
+  productForm.elements.name_en.value = product.translations?.en?.name || "";
+  productForm.elements.description.value = product.description || "";
+  productForm.elements.prices.value = formatPairs(Object.fromEntries(
+    Object.entries(product.prices || {}).map(([currency, price]) => [currency, price / minorFactor(currency)])
+  ));
+  productForm.elements.image.value = product.img || "";
+  productForm.elements.category.value = product.category || "";
+  productForm.elements.stock.value = product.stock ?? "";
+  productForm.elements.max_quantity.value = product.max_quantity ?? "";
+  productForm.elements.gift.checked = !!product.gift;
+  productForm.elements.active.checked = product.active !== false;
+  productForm.scrollIntoView({ behavior: "smooth" });
+}
+
+function resetProductForm() {
+  delete productForm.dataset.editing;
+  productForm.reset();
+  productForm.elements.id.disabled = false;
+  $("#product-form-title").textContent = "Новый товар";
+  $("#product-form-cancel").hidden = true;
+}
+
+$("#product-form-cancel").addEventListener("click", resetProductForm);
+
+productForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+
+  const optionalNumber = (input) => input.value === "" ? null : Number(input.value);
+  const editing = productForm.dataset.editing;
+  const current = state.products.find(product => product.id === editing);
+  const nameEn = productForm.elements.name_en.value.trim();
+
+  let prices;
+  try {
+    prices = Object.fromEntries(Object.entries(parsePairs(productForm.elements.prices.value))
+      .map(([currency, price]) => [currency, Math.round(price * minorFactor(currency))]));
+  } catch (error) {
+    return notify(error.message, true);
+  }
+
+  const fields = {
+    name: productForm.elements.name.value.trim(),
+    description: productForm.elements.description.value.trim() || null,
+    prices: editing ? withRemoved(prices, current?.prices) : prices,
+    translations: { en: nameEn ? { ...current?.translations?.en, name: nameEn } : null },
+    image: productForm.elements.image.value.trim(),
+    category: productForm.elements.category.value.trim() || null,
+    stock: optionalNumber(productForm.elements.stock),
+    max_quantity: optionalNumber(productForm.elements.max_quantity),
+    gift: productForm.elements.gift.checked,
+    active: productForm.elements.active.checked
+  };
+
+  try {
+    if (editing) {
+      await api("PATCH", `/api/admin/products/${encodeURIComponent(editing)}`, fields);
+    } else {
+      await api("POST", "/api/admin/products", { id: productForm.elements.id.value.trim(), ...fields });
+    }
+
+    notify(editing ? `Товар ${editing} сохранен` : "Товар добавлен");
+    resetProductForm();
+    await loadProducts();
+  } catch (error) {
+    notify(errorText(error), true);
+  }
+});
+
+// =========== НАСТРОЙКИ ===========
+
+async function loadSettings() {
+  const [{ settings, product_limits: limits }, { products }] = await Promise.all([
+    api("GET", "/api/admin/settings"),
+    api("GET", "/api/admin/products")
+  ]);
+
+  const form = $("#settings-form");
+  form.max_cart_total.value = settings.max_cart_total;
+  form.exchange_rates.value = formatPairs(settings.exchange_rates);
+  form.dataset.rates = JSON.stringify(settings.exchange_rates);
+  $("#base-currency").textContent = settings.base_currency;
+
+  $("#product-limits").replaceChildren(...products.map(product => h("label", {},
+    `${product.name} (${product.id})`,
+    h("input", {
+      type: "number",
+      min: "1",
+      placeholder: "без лимита",
+      "data-product": product.id,
+      value: limits[product.id] ?? ""
+    })
+  )));
+}
+
+$("#settings-form").addEventListener("submit", async (event) => {
+  event.preventDefault();
+
+  const product_limits = {};
+  for (const input of document.querySelectorAll("#product-limits input")) {
+    product_limits[input.dataset.product] = input.value === "" ? null : Number(input.value);
+  }
+
+  try {
+    const rates = parsePairs(event.target.exchange_rates.value);
+
+    await api("PATCH", "/api/admin/settings", {
+      max_cart_total: Number(event.target.max_cart_total.value),
+      exchange_rates: withRemoved(rates, JSON.parse(event.target.dataset.rates || "{}")),
+      product_limits
+    });
+    notify("Настройки сохранены");
+    await loadSettings();
+  } catch (error) {
+    notify(errorText(error), true);
+  }
+});
+
+// =========== ОБНОВЛЕНИЯ В РЕАЛЬНОМ ВРЕМЕНИ ===========
+
+// Список заказов и открытый заказ перечитываются по событиям /api/admin/events
+function connectEvents() {
+  state.events?.close();
+
+  const events = new EventSource("/api/admin/events");
+  const live = $("#live");
+  let timer = null;
+
+  const refresh = (event) => {
+    const { order_id } = JSON.parse(event.data);
+    if (state.tab !== "orders") return;
+
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      loadOrders().catch(() => {});
+      if (order_id === state.selectedOrder) openOrder(order_id).catch(() => {});
+    }, 300);
+  };
+
+  for (const type of ["created", "status", "refund"]) {
+    events.addEventListener(type, refresh);
+  }
+  events.onopen = () => live.classList.add("on");
+  events.onerror = () => live.classList.remove("on");
+
+  state.events = events;
+}
+
+// =========== ЗАПУСК ===========
+
+api("GET", "/api/admin/session")
+  .then(showApp)
+  .catch(showLogin);
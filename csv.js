@@ -0,0 +1,86 @@
+// CSV по RFC 4180: поля с запятой, кавычками или переводом строки берутся в кавычки.
+// Выгрузки открывают в Excel, поэтому строка, которая начинается с =, +, -, @, табуляции
+// или \r, получает префикс ' — иначе таблица выполнит ее как формулу. parseCsv его снимает.
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const ESCAPED_FORMULA = /^'[=+\-@\t\r]/;
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const unescapeField = (text) => ESCAPED_FORMULA.test(text) ? text.slice(1) : text;
+
+// Одна строка CSV с переводом строки; для потоковой выгрузки
+export function csvRow(row, columns) {
+  return columns.map(column => escapeField(row[column])).join(",") + "\r\n";
+}
+
+export function csvHeader(columns) {
+  return columns.map(escapeField).join(",") + "\r\n";
+}
+
+// columns — имена полей в нужном порядке, они же заголовок
+export function toCsv(rows, columns) {
+  return csvHeader(columns) + rows.map(row => csvRow(row, columns)).join("");
+}
+
+// Разбирает CSV с заголовком в массив объектов; пустые строки пропускаются
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const source = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(cells => cells.some(cell => cell !== ""));
+  const columns = header.map(name => name.trim());
+
+  return body.map(cells => Object.fromEntries(columns.map((column, index) => [column, unescapeField(cells[index] ?? "")])));
+}
+
+export function sendCsv(res, filename, rows, columns) {
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(toCsv(rows, columns));
+}
@@ -0,0 +1,83 @@
+// Локальная замена BileePay для разработки.
+// Запуск: BILEE_PASSWORD=... npm run fake-bilee, в сервере — BILEE_API_URL=http://localhost:10001/api
+//
+// POST /api/payment/init   — возвращает url страницы оплаты; переход по нему «оплачивает» заказ
+// POST /api/payment/refund — принимает возврат и через FAKE_BILEE_DELAY_MS шлет его итог на notify_url
+// POST /api/payment/status — текущий статус платежа
+// Сумма возврата, оканчивающаяся на 13, завершается ошибкой — так проверяется failed.
+import express from "express";
+import axios from "axios";
+import { generateSignature, verifySignature } from '../payments/bilee.js';
+
+const PORT = Number(process.env.FAKE_BILEE_PORT) || 10001;
+const PASSWORD = process.env.BILEE_PASSWORD || "";
+const DELAY_MS = Number(process.env.FAKE_BILEE_DELAY_MS) || 1000;
+const BASE_URL = `http://localhost:${PORT}`;
+
+const payments = new Map();
+const app = express();
+app.use(express.json());
+
+const notify = async (url, data) => {
+  const body = { ...data };
+  body.signature = generateSignature(body, PASSWORD);
+
+  try {
+    const response = await axios.post(url, body, { timeout: 10000 });
+    console.log(`📨 ${url}: ${response.status}`, body);
+  } catch (error) {
+    console.error(`❌ ${url}: ${error.response?.status || error.message}`, body);
+  }
+};
+
+app.use("/api", (req, res, next) => {
+  if (!verifySignature(req.body, PASSWORD)) {
+    return res.status(403).json({ success: false, error: "Invalid signature" });
+  }
+  next();
+});
+
+app.post("/api/payment/init", (req, res) => {
+  const { order_id, amount, shop_id, notify_url, success_url } = req.body;
+
+  payments.set(order_id, { amount, shop_id, notify_url, success_url, status: "pending" });
+  console.log(`🧾 Платеж ${order_id}: ${amount}₽`);
+
+  res.json({ success: true, url: `${BASE_URL}/pay/${encodeURIComponent(order_id)}` });
+});
+
+app.get("/pay/:order_id", async (req, res) => {
+  const payment = payments.get(req.params.order_id);
+  if (!payment) return res.status(404).send("Payment not found");
+
+  payment.status = "success";
+  await notify(payment.notify_url, {
+    order_id: req.params.order_id,
+    status: "success",
+    amount: payment.amount,
+    shop_id: payment.shop_id
+  });
+
+  res.redirect(payment.success_url);
+});
+
+app.post("/api/payment/refund", (req, res) => {
+  const { order_id, refund_id, amount, shop_id, notify_url } = req.body;
+  const status = String(amount).endsWith("13") ? "fail" : "success";
+
+  console.log(`💸 Возврат ${refund_id}: ${amount}₽ → ${status} через ${DELAY_MS} мс`);
+  setTimeout(() => notify(notify_url, { order_id, refund_id, status, amount, shop_id }), DELAY_MS);
+
+  res.json({ success: true, refund_id, status: "pending" });
+});
+
+app.post("/api/payment/status", (req, res) => {
+  const payment = payments.get(req.body.order_id);
+  if (!payment) return res.status(404).json({ success: false, error: "Payment not found" });
+
+  res.json({ success: true, status: payment.status, amount: payment.amount });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Тестовый шлюз BileePay: ${BASE_URL}/api`);
+});
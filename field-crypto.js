@@ -0,0 +1,106 @@
+// Шифрование отдельных полей заказа (код, email) ключом из окружения.
+// AES-256-GCM; зашифрованное значение — строка "enc:<id ключа>:<iv>:<tag>:<данные>"
+// (части в base64url), поэтому в базе его легко отличить от старых открытых значений.
+//
+// Ключи задаются списком "2025-06:<base64, 32 байта>,2024-01:<...>": первым шифруются
+// новые значения, остальные только расшифровывают. После ротации старые значения
+// перешифровываются, и прежний ключ можно убрать из списка.
+import crypto from "crypto";
+
+const PREFIX = "enc:";
+const KEY_ID_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+export function parseKeyRing(value) {
+  return value.split(",")
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const separator = pair.indexOf(":");
+      const id = pair.slice(0, separator);
+      const key = Buffer.from(pair.slice(separator + 1), "base64");
+
+      if (separator < 1 || !KEY_ID_PATTERN.test(id)) {
+        throw new Error(`Invalid encryption key id: "${id}"`);
+      }
+      if (key.length !== 32) {
+        throw new Error(`Encryption key ${id} must be 32 bytes in base64`);
+      }
+      return { id, key };
+    });
+}
+
+export function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+const keyIdOf = (value) => value.slice(PREFIX.length).split(":")[0];
+
+// keys — результат parseKeyRing; без ключей значения хранятся как есть,
+// и о каждом таком значении сообщается через onPlaintext
+export function createFieldCipher(keys, { onPlaintext = () => {} } = {}) {
+  const [active] = keys;
+  const byId = new Map(keys.map(({ id, key }) => [id, key]));
+
+  return {
+    enabled: !!active,
+    keyId: active?.id || null,
+
+    encrypt(value) {
+      if (value === null || value === undefined || isEncrypted(value)) return value;
+
+      if (!active) {
+        onPlaintext();
+        return value;
+      }
+
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv("aes-256-gcm", active.key, iv);
+      const data = Buffer.concat([cipher.update(String(value), "utf8"), cipher.final()]);
+
+      return PREFIX + [
+        active.id,
+        iv.toString("base64url"),
+        cipher.getAuthTag().toString("base64url"),
+        data.toString("base64url")
+      ].join(":");
+    },
+
+    // Открытое значение возвращается без изменений; неизвестный ключ — ошибка
+    decrypt(value) {
+      if (!isEncrypted(value)) return value;
+
+      const [id, iv, tag, data] = value.slice(PREFIX.length).split(":");
+      const key = byId.get(id);
+
+      if (!key) {
+        throw new Error(`Unknown encryption key: ${id}`);
+      }
+
+      const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64url"));
+      decipher.setAuthTag(Buffer.from(tag, "base64url"));
+
+      return Buffer.concat([decipher.update(Buffer.from(data, "base64url")), decipher.final()]).toString("utf8");
+    },
+
+    // Значение хранится открытым или зашифровано не текущим ключом
+    needsRotation(value) {
+      if (value === null || value === undefined || !active) return false;
+      return !isEncrypted(value) || keyIdOf(value) !== active.id;
+    }
+  };
+}
+
+// "buyer@example.com" → "b****@example.com"
+export function maskEmail(email) {
+  if (!email) return null;
+
+  const [name, domain] = String(email).split("@");
+  if (!domain) return "***";
+
+  return `${name[0] || ""}${"*".repeat(Math.max(3, name.length - 1))}@${domain}`;
+}
+
+// Секрет (одноразовый код) не показывается вовсе — только факт его наличия
+export function maskSecret(value) {
+  return value ? "******" : null;
+}
@@ -0,0 +1,60 @@
+// Отправка писем через подключаемый транспорт (MAIL_TRANSPORT).
+// Транспорт — объект с name и async send(message), где
+// message = { from, to, subject, text, html? }.
+// console — печатает письмо в лог, file — сохраняет .eml в папку (для разработки),
+// smtp — отправляет через почтовый сервер.
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from 'path';
+import { buildMimeMessage } from './mime.js';
+import { createSmtpTransport } from './smtp.js';
+
+export { buildMimeMessage } from './mime.js';
+export { renderEmail, formatGiftItems, formatOrderItems } from './templates.js';
+
+export function createConsoleTransport() {
+  return {
+    name: "console",
+
+    async send(message) {
+      console.log(`✉️ Письмо для ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  };
+}
+
+export function createFileTransport({ dir }) {
+  return {
+    name: "file",
+
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`);
+      await fs.writeFile(file, buildMimeMessage(message), "utf8");
+
+      console.log(`✉️ Письмо для ${message.to} сохранено: ${file}`);
+    }
+  };
+}
+
+const TRANSPORTS = {
+  console: (options) => createConsoleTransport(options),
+  file: (options) => createFileTransport(options),
+  smtp: (options) => createSmtpTransport(options.smtp || {})
+};
+
+export function createMailer({ transport = "console", from, ...options }) {
+  const create = TRANSPORTS[transport];
+
+  if (!create) {
+    throw new Error(`Unknown mail transport: ${transport}`);
+  }
+
+  const backend = create(options);
+
+  return {
+    transport: backend.name,
+
+    send: (message) => backend.send({ from, ...message })
+  };
+}
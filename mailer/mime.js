@@ -0,0 +1,48 @@
+// Сборка письма в формате RFC 5322 для file- и smtp-транспортов.
+import crypto from "crypto";
+
+// Заголовок с не-ASCII символами кодируется по RFC 2047
+const encodeHeader = (value) => /^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+
+// "Duck Shop <noreply@duck.shop>" → "noreply@duck.shop"
+export function addressOf(value) {
+  return (value.match(/<([^>]+)>/)?.[1] || value).trim();
+}
+
+// Письмо в формате RFC 5322: text и html — части multipart/alternative
+export function buildMimeMessage({ from, to, subject, text, html }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${addressOf(from).split("@")[1] || "localhost"}>`,
+    "MIME-Version: 1.0"
+  ];
+
+  const part = (type, body) => [
+    `Content-Type: ${type}; charset=utf-8`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    Buffer.from(body, "utf8").toString("base64").replace(/.{76}/g, "$&\r\n")
+  ].join("\r\n");
+
+  if (!html) {
+    return [...headers, part("text/plain", text)].join("\r\n") + "\r\n";
+  }
+
+  const boundary = `duck-${crypto.randomBytes(12).toString("hex")}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    part("text/plain", text),
+    `--${boundary}`,
+    part("text/html", html),
+    `--${boundary}--`,
+    ""
+  ].join("\r\n");
+}
@@ -0,0 +1,154 @@
+// SMTP-транспорт без внешних зависимостей: одно соединение на письмо,
+// STARTTLS, если сервер его объявил (или TLS сразу при secure), и AUTH PLAIN.
+// Пароль передается только по зашифрованному соединению.
+import net from "net";
+import os from "os";
+import tls from "tls";
+import { addressOf, buildMimeMessage } from './mime.js';
+
+const connect = ({ host, port, secure, timeoutMs }) => new Promise((resolve, reject) => {
+  const socket = secure
+    ? tls.connect({ host, port, servername: host })
+    : net.connect({ host, port });
+
+  socket.setTimeout(timeoutMs, () => socket.destroy(new Error("SMTP timeout")));
+  socket.once("error", reject);
+  socket.once(secure ? "secureConnect" : "connect", () => {
+    socket.off("error", reject);
+    resolve(socket);
+  });
+});
+
+// Переводит открытое соединение на TLS после ответа на STARTTLS
+const upgrade = (socket, { host, timeoutMs }) => new Promise((resolve, reject) => {
+  const secured = tls.connect({ socket, servername: host });
+
+  secured.setTimeout(timeoutMs, () => secured.destroy(new Error("SMTP timeout")));
+  secured.once("error", reject);
+  secured.once("secureConnect", () => {
+    secured.off("error", reject);
+    resolve(secured);
+  });
+});
+
+// Ответы сервера по очереди; многострочный ответ заканчивается строкой «код пробел текст»
+function responseReader(socket) {
+  const responses = [];
+  const waiters = [];
+  let buffer = "";
+  let lines = [];
+  let failure = null;
+
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+
+    let index;
+    while ((index = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, "");
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const response = { code: Number(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join("\n") };
+        lines = [];
+
+        if (waiters.length > 0) {
+          waiters.shift().resolve(response);
+        } else {
+          responses.push(response);
+        }
+      }
+    }
+  };
+
+  const onFailure = (error) => {
+    failure ||= error instanceof Error ? error : new Error("SMTP connection closed");
+    while (waiters.length > 0) waiters.shift().reject(failure);
+  };
+
+  socket.on("data", onData);
+  socket.on("error", onFailure);
+  socket.on("close", onFailure);
+
+  return {
+    read() {
+      if (responses.length > 0) return Promise.resolve(responses.shift());
+      if (failure) return Promise.reject(failure);
+
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+
+    detach() {
+      socket.off("data", onData);
+      socket.off("close", onFailure);
+    }
+  };
+}
+
+// Содержимое команды DATA: строки, начинающиеся с точки, удваиваются (RFC 5321, 4.5.2),
+// в конце — строка из одной точки
+export function smtpData(mime) {
+  const data = mime.replace(/^\./gm, "..");
+  return `${data}${data.endsWith("\r\n") ? "" : "\r\n"}.`;
+}
+
+export function createSmtpTransport({ host, port = 587, secure = false, user = "", password = "", timeoutMs = 15000 }) {
+  if (!host) {
+    throw new Error("SMTP_HOST is required for smtp mail transport");
+  }
+
+  return {
+    name: "smtp",
+
+    async send(message) {
+      let socket = await connect({ host, port, secure, timeoutMs });
+      let reader = responseReader(socket);
+
+      const command = async (line, expected, label = line.split(" ")[0]) => {
+        if (line) socket.write(`${line}\r\n`);
+
+        const response = await reader.read();
+        if (!expected.includes(response.code)) {
+          throw new Error(`SMTP ${label || "greeting"}: ${response.code} ${response.text}`);
+        }
+        return response;
+      };
+
+      try {
+        await command("", [220]);
+        const hello = await command(`EHLO ${os.hostname()}`, [250]);
+
+        let encrypted = secure;
+
+        if (!secure && /^STARTTLS\b/im.test(hello.text)) {
+          await command("STARTTLS", [220]);
+          reader.detach();
+
+          socket = await upgrade(socket, { host, timeoutMs });
+          reader = responseReader(socket);
+          encrypted = true;
+          await command(`EHLO ${os.hostname()}`, [250]);
+        }
+
+        if (user) {
+          if (!encrypted) {
+            throw new Error("SMTP AUTH: server offers no STARTTLS, refusing to send credentials in plain text (set SMTP_SECURE for TLS)");
+          }
+
+          const credentials = Buffer.from(`\0${user}\0${password}`, "utf8").toString("base64");
+          await command(`AUTH PLAIN ${credentials}`, [235], "AUTH");
+        }
+
+        await command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+        await command(`RCPT TO:<${addressOf(message.to)}>`, [250, 251]);
+        await command("DATA", [354]);
+
+        await command(smtpData(buildMimeMessage(message)), [250], "DATA");
+
+        await command("QUIT", [221]).catch(() => {});
+      } finally {
+        socket.end();
+      }
+    }
+  };
+}
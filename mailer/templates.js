@@ -0,0 +1,221 @@
+// Шаблоны писем покупателю о ходе заказа, по одному набору на язык.
+// Шаблон получает данные заказа и возвращает { subject, paragraphs };
+// текстовая и HTML-версии письма собираются из одних и тех же абзацев.
+// Суммы приходят в минорных единицах валюты заказа (d.currency).
+import { formatMoney } from '../money.js';
+
+const TEMPLATES = {
+  ru: {
+    payment_received: (d) => ({
+      subject: `Оплата заказа ${d.order_id} получена`,
+      paragraphs: [
+        "Здравствуйте!",
+        `Мы получили оплату заказа ${d.order_id} на сумму ${formatMoney(d.amount, d.currency, "ru")}.`,
+        d.items,
+        "Вернитесь на страницу заказа, чтобы указать данные для выполнения."
+      ]
+    }),
+    in_progress: (d) => ({
+      subject: `Заказ ${d.order_id} в работе`,
+      paragraphs: [
+        "Здравствуйте!",
+        `Мы приступили к выполнению заказа ${d.order_id}. Обычно это занимает несколько минут.`
+      ]
+    }),
+    completed: (d) => ({
+      subject: `Заказ ${d.order_id} выполнен`,
+      paragraphs: [
+        "Здравствуйте!",
+        `Заказ ${d.order_id} выполнен. Спасибо за покупку!`,
+        d.items
+      ]
+    }),
+    rejected: (d) => ({
+      subject: `Заказ ${d.order_id} отклонен`,
+      paragraphs: [
+        "Здравствуйте!",
+        `К сожалению, заказ ${d.order_id} отклонен.`,
+        d.admin_comment && `Комментарий: ${d.admin_comment}`,
+        "Если у вас есть вопросы, ответьте на это письмо."
+      ]
+    }),
+    refunded: (d) => ({
+      subject: `Возврат по заказу ${d.order_id}`,
+      paragraphs: [
+        "Здравствуйте!",
+        d.full
+          ? `Мы вернули полную стоимость заказа ${d.order_id}: ${formatMoney(d.refund_amount, d.currency, "ru")}.`
+          : `Мы вернули ${formatMoney(d.refund_amount, d.currency, "ru")} по заказу ${d.order_id}.`,
+        "Деньги поступят на карту в течение нескольких рабочих дней."
+      ]
+    }),
+    gift_sent: (d) => ({
+      subject: `Подарок ${d.order_id} оплачен`,
+      paragraphs: [
+        "Здравствуйте!",
+        `Мы получили оплату заказа ${d.order_id} на сумму ${formatMoney(d.amount, d.currency, "ru")} и отправили подарок на ${d.recipient_email}.`,
+        d.items,
+        `Получатель должен активировать подарок по ссылке из письма до ${formatDate(d.expires_at, "ru")}`
+      ]
+    }),
+    gift_received: (d) => ({
+      subject: "Вам подарок в Duck Shop",
+      paragraphs: [
+        "Здравствуйте!",
+        "Вам подарили:",
+        d.items,
+        d.message && `Сообщение: ${d.message}`,
+        `Чтобы получить подарок, откройте ссылку до ${formatDate(d.expires_at, "ru")}:`,
+        d.redeem_url
+      ]
+    }),
+    gift_expired: (d) => ({
+      subject: `Подарок ${d.order_id} не активирован`,
+      paragraphs: [
+        "Здравствуйте!",
+        `Получатель ${d.recipient_email} не активировал подарок по заказу ${d.order_id}, и срок ссылки истек.`,
+        "Ответьте на это письмо, чтобы вернуть деньги или отправить подарок другому получателю."
+      ]
+    }),
+    magic_link: (d) => ({
+      subject: "Ваши заказы в Duck Shop",
+      paragraphs: [
+        "Здравствуйте!",
+        `Чтобы посмотреть свои заказы, откройте ссылку (действует ${d.minutes} мин., один раз):`,
+        d.login_url,
+        "Если вы не запрашивали это письмо, просто проигнорируйте его."
+      ]
+    })
+  },
+
+  en: {
+    payment_received: (d) => ({
+      subject: `Payment received for order ${d.order_id}`,
+      paragraphs: [
+        "Hello!",
+        `We have received your payment of ${formatMoney(d.amount, d.currency, "en")} for order ${d.order_id}.`,
+        d.items,
+        "Please return to the order page to submit the details we need to fulfil it."
+      ]
+    }),
+    in_progress: (d) => ({
+      subject: `Order ${d.order_id} is in progress`,
+      paragraphs: [
+        "Hello!",
+        `We have started working on order ${d.order_id}. It usually takes a few minutes.`
+      ]
+    }),
+    completed: (d) => ({
+      subject: `Order ${d.order_id} is completed`,
+      paragraphs: [
+        "Hello!",
+        `Order ${d.order_id} is completed. Thank you for your purchase!`,
+        d.items
+      ]
+    }),
+    rejected: (d) => ({
+      subject: `Order ${d.order_id} was rejected`,
+      paragraphs: [
+        "Hello!",
+        `Unfortunately, order ${d.order_id} was rejected.`,
+        d.admin_comment && `Comment: ${d.admin_comment}`,
+        "If you have any questions, just reply to this email."
+      ]
+    }),
+    refunded: (d) => ({
+      subject: `Refund for order ${d.order_id}`,
+      paragraphs: [
+        "Hello!",
+        d.full
+          ? `We have refunded the full amount of order ${d.order_id}: ${formatMoney(d.refund_amount, d.currency, "en")}.`
+          : `We have refunded ${formatMoney(d.refund_amount, d.currency, "en")} for order ${d.order_id}.`,
+        "The money will reach your card within a few business days."
+      ]
+    }),
+    gift_sent: (d) => ({
+      subject: `Gift ${d.order_id} is paid`,
+      paragraphs: [
+        "Hello!",
+        `We have received your payment of ${formatMoney(d.amount, d.currency, "en")} for order ${d.order_id} and sent the gift to ${d.recipient_email}.`,
+        d.items,
+        `The recipient has to redeem it with the link from their email by ${formatDate(d.expires_at, "en")}.`
+      ]
+    }),
+    gift_received: (d) => ({
+      subject: "You have a gift from Duck Shop",
+      paragraphs: [
+        "Hello!",
+        "Someone sent you a gift:",
+        d.items,
+        d.message && `Message: ${d.message}`,
+        `To redeem it, open this link by ${formatDate(d.expires_at, "en")}:`,
+        d.redeem_url
+      ]
+    }),
+    gift_expired: (d) => ({
+      subject: `Gift ${d.order_id} was not redeemed`,
+      paragraphs: [
+        "Hello!",
+        `${d.recipient_email} did not redeem the gift from order ${d.order_id} before the link expired.`,
+        "Reply to this email to get a refund or send the gift to someone else."
+      ]
+    }),
+    magic_link: (d) => ({
+      subject: "Your Duck Shop orders",
+      paragraphs: [
+        "Hello!",
+        `To see your orders, open this link (valid for ${d.minutes} min, once):`,
+        d.login_url,
+        "If you did not request this email, just ignore it."
+      ]
+    })
+  }
+};
+
+const FOOTER = {
+  ru: (url) => `История ваших заказов: ${url}`,
+  en: (url) => `Your order history: ${url}`
+};
+
+const escapeHtml = (value) => value
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+// Позиции заказа одним абзацем: "30 кристаллов × 2 — 400,00 ₽"
+export function formatOrderItems(lines = [], currency, lang = "ru") {
+  return lines
+    .map(line => `${line.name} × ${line.quantity} — ${formatMoney(line.total, currency, lang)}`)
+    .join("\n");
+}
+
+// Позиции подарка без цен — для письма получателю
+export function formatGiftItems(lines = []) {
+  return lines.map(line => `${line.name} × ${line.quantity}`).join("\n");
+}
+
+function formatDate(value, lang) {
+  return new Date(value).toLocaleDateString(lang, { day: "numeric", month: "long", year: "numeric" });
+}
+
+// data: { order_id, amount, currency, items, admin_comment, refund_amount, full, history_url },
+// для подарков — recipient_email, message, redeem_url, expires_at; для magic_link — login_url, minutes.
+// Неизвестный язык заменяется на fallbackLang.
+export function renderEmail(template, lang, data, fallbackLang = "ru") {
+  const language = TEMPLATES[lang] ? lang : fallbackLang;
+  const render = TEMPLATES[language][template];
+
+  if (!render) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const { subject, paragraphs } = render(data);
+  const body = [...paragraphs, data.history_url && FOOTER[language](data.history_url)].filter(Boolean);
+
+  return {
+    subject,
+    text: body.join("\n\n"),
+    html: body.map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`).join("\n")
+  };
+}
@@ -0,0 +1,62 @@
+// Денежные суммы хранятся целыми числами в минорных единицах валюты (копейки, центы),
+// поэтому сложение и скидки считаются без ошибок float. В основные единицы сумма
+// переводится только для платежного шлюза и показа покупателю.
+// Число знаков после запятой берется из Intl: 2 для RUB/USD, 0 для JPY.
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const digitsCache = new Map();
+
+export function isCurrencyCode(value) {
+  if (typeof value !== "string" || !CURRENCY_PATTERN.test(value)) return false;
+
+  try {
+    new Intl.NumberFormat("en", { style: "currency", currency: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function minorDigits(currency) {
+  if (!digitsCache.has(currency)) {
+    const { maximumFractionDigits } = new Intl.NumberFormat("en", { style: "currency", currency }).resolvedOptions();
+    digitsCache.set(currency, maximumFractionDigits);
+  }
+  return digitsCache.get(currency);
+}
+
+// 199.9 RUB → 19990
+export function toMinor(amount, currency) {
+  return Math.round(Number(amount) * 10 ** minorDigits(currency));
+}
+
+// 19990 RUB → 199.9
+export function toMajor(amount, currency) {
+  const digits = minorDigits(currency);
+  return Number((amount / 10 ** digits).toFixed(digits));
+}
+
+// rate — сколько единиц валюты to стоит единица валюты from
+export function convertMinor(amount, from, to, rate) {
+  if (from === to) return amount;
+  return Math.round(amount * rate * 10 ** (minorDigits(to) - minorDigits(from)));
+}
+
+export function formatMoney(amount, currency, lang = "ru") {
+  return new Intl.NumberFormat(lang, { style: "currency", currency }).format(toMajor(amount, currency));
+}
+
+// "USD:92.5, EUR:100.1" → { USD: 92.5, EUR: 100.1 }
+export function parseRates(value) {
+  const rates = {};
+
+  for (const pair of value.split(",").map(part => part.trim()).filter(Boolean)) {
+    const [currency, rate] = pair.split(":").map(part => part.trim());
+
+    if (!isCurrencyCode(currency) || !(Number(rate) > 0)) {
+      throw new Error(`Invalid exchange rate: "${pair}"`);
+    }
+    rates[currency] = Number(rate);
+  }
+  return rates;
+}
@@ -0,0 +1,147 @@
+// Очередь исходящих уведомлений с повторной доставкой.
+// Каждая запись хранится в базе; id записи служит ключом идемпотентности.
+// Попытка сначала «захватывает» запись, сдвигая next_attempt_at на время аренды,
+// поэтому воркер и немедленная отправка не доставят одно сообщение дважды,
+// а запись, зависшая после падения процесса, вернется в работу сама.
+import crypto from "crypto";
+
+export function createOutbox({
+  name,
+  store,
+  deliver,
+  maxAttempts = 8,
+  baseDelayMs = 5000,
+  maxDelayMs = 60 * 60 * 1000,
+  leaseMs = 60 * 1000,
+  retentionMs = 7 * 24 * 60 * 60 * 1000
+}) {
+  let timer = null;
+  let running = false;
+
+  const backoff = (attempts) => Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+
+  async function attempt(id) {
+    const now = Date.now();
+
+    const claimed = await store.update(id, (entry) => {
+      if (entry.status !== "pending" || new Date(entry.next_attempt_at).getTime() > now) return false;
+
+      entry.attempts += 1;
+      entry.next_attempt_at = new Date(now + leaseMs).toISOString();
+    });
+
+    if (!claimed) return false;
+
+    try {
+      await deliver(claimed);
+
+      await store.update(id, (entry) => {
+        entry.status = "delivered";
+        entry.delivered_at = new Date().toISOString();
+        entry.last_error = null;
+      });
+      return true;
+    } catch (error) {
+      const dead = claimed.attempts >= maxAttempts;
+
+      await store.update(id, (entry) => {
+        entry.last_error = error.message;
+
+        if (dead) {
+          entry.status = "dead";
+          entry.dead_at = new Date().toISOString();
+        } else {
+          entry.next_attempt_at = new Date(Date.now() + backoff(entry.attempts)).toISOString();
+        }
+      });
+
+      console.error(`❌ ${name}: попытка ${claimed.attempts}/${maxAttempts} для ${id} не удалась: ${error.message}`);
+      if (dead) {
+        console.error(`☠️ ${name}: ${id} перемещено в dead-letter`);
+      }
+      return false;
+    }
+  }
+
+  // Удаляет давно доставленные записи
+  async function prune(entries) {
+    const threshold = Date.now() - retentionMs;
+
+    for (const entry of entries) {
+      if (entry.status === "delivered" && new Date(entry.delivered_at).getTime() < threshold) {
+        await store.remove(entry.id);
+      }
+    }
+  }
+
+  return {
+    // Ставит сообщение в очередь; deliverNow — сразу пробует доставить
+    // и возвращает true, если это удалось с первой попытки
+    async enqueue(payload, { deliverNow = true } = {}) {
+      const now = new Date().toISOString();
+      const entry = {
+        id: crypto.randomUUID(),
+        payload,
+        status: "pending",
+        attempts: 0,
+        next_attempt_at: now,
+        last_error: null,
+        created_at: now
+      };
+
+      await store.insert(entry);
+      return deliverNow ? attempt(entry.id) : false;
+    },
+
+    async processDue() {
+      if (running) return;
+      running = true;
+
+      try {
+        const entries = await store.list();
+        const now = Date.now();
+        const due = entries
+          .filter(e => e.status === "pending" && new Date(e.next_attempt_at).getTime() <= now)
+          .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+        for (const entry of due) {
+          await attempt(entry.id);
+        }
+
+        await prune(entries);
+      } catch (error) {
+        console.error(`❌ ${name}: ошибка обработки очереди:`, error.message);
+      } finally {
+        running = false;
+      }
+    },
+
+    // Повторная отправка записи из dead-letter (или ожидающей) с обнулением попыток
+    async retry(id) {
+      const entry = await store.update(id, (draft) => {
+        if (draft.status === "delivered") return false;
+
+        draft.status = "pending";
+        draft.attempts = 0;
+        draft.next_attempt_at = new Date().toISOString();
+        delete draft.dead_at;
+      });
+
+      if (!entry) return null;
+
+      await attempt(id);
+      return store.get(id);
+    },
+
+    start(intervalMs) {
+      if (timer) return;
+      timer = setInterval(() => this.processDue(), intervalMs);
+      this.processDue();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
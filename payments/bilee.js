@@ -0,0 +1,115 @@
+// Платежный провайдер BileePay.
+// Подпись запросов и вебхуков: sha256 от значений полей,
+// отсортированных по ключу, вместе с паролем магазина.
+import axios from "axios";
+import crypto from "crypto";
+
+// Генерация подписи для BileePay
+export function generateSignature(data, password) {
+  const tokenData = { ...data, password };
+  const excludedKeys = ["metadata", "signature"];
+
+  const sortedKeys = Object.keys(tokenData)
+    .filter((key) => !excludedKeys.includes(key))
+    .sort();
+
+  const valuesString = sortedKeys
+    .map((key) => tokenData[key])
+    .join("");
+
+  const hash = crypto.createHash("sha256");
+  hash.update(valuesString, "utf8");
+  return hash.digest("hex");
+}
+
+// Проверка подписи вебхука (сравнение за постоянное время)
+export function verifySignature(data, password) {
+  if (!data || typeof data.signature !== 'string') return false;
+
+  const expected = Buffer.from(generateSignature(data, password), 'utf8');
+  const received = Buffer.from(data.signature, 'utf8');
+
+  if (expected.length !== received.length) return false;
+  return crypto.timingSafeEqual(expected, received);
+}
+
+export function createBileeProvider({ shopId, password, apiUrl }) {
+  const post = async (endpoint, data) => {
+    const payload = { ...data, shop_id: shopId };
+    payload.signature = generateSignature(payload, password);
+
+    const response = await axios.post(`${apiUrl}${endpoint}`, payload, {
+      timeout: 15000,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    if (response.data?.success === false) {
+      throw new Error(response.data.error || `BileePay ${endpoint} failed`);
+    }
+    return response.data;
+  };
+
+  return {
+    name: "bilee",
+    // Адрес уже прописан в кабинете BileePay, поэтому остается прежним
+    notifyPath: "/bilee-notify",
+    configured: shopId > 0 && !!password,
+    // Шлюз принимает только рубли
+    currencies: ["RUB"],
+
+    async createPayment({ order_id, method, amount, description, success_url, fail_url, notify_url }) {
+      const data = await post("/payment/init", {
+        order_id,
+        method_slug: method,
+        amount,
+        success_url,
+        fail_url,
+        description,
+        notify_url
+      });
+
+      if (!data?.url) {
+        throw new Error("Payment gateway error");
+      }
+      return { url: data.url };
+    },
+
+    // Вебхук оплаты или возврата (у возврата есть refund_id)
+    verifyWebhook(body) {
+      if (!password || !verifySignature(body, password)) {
+        return { error: "invalid_signature" };
+      }
+
+      if (Number(body.shop_id) !== shopId) {
+        return { error: "shop_id_mismatch" };
+      }
+
+      return {
+        event: {
+          type: body.refund_id ? "refund" : "payment",
+          order_id: body.order_id,
+          refund_id: body.refund_id || null,
+          status: body.status,
+          amount: Number(body.amount)
+        }
+      };
+    },
+
+    async refund({ order_id, refund_id, amount, description, notify_url }) {
+      await post("/payment/refund", { order_id, refund_id, amount, description, notify_url });
+    },
+
+    // not_found — покупатель не дошел до оплаты, шлюз заказа не знает
+    async getPaymentStatus(order_id) {
+      try {
+        const data = await post("/payment/status", { order_id });
+        return { status: data.status, amount: Number(data.amount) };
+      } catch (error) {
+        if (error.response?.status === 404) {
+          return { status: "not_found", amount: null };
+        }
+        throw error;
+      }
+    }
+  };
+}
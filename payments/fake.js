@@ -0,0 +1,102 @@
+// Тестовый платежный провайдер для локальной разработки: деньги не списываются.
+// Страница оплаты отдается самим сервером (/payments/fake/pay/:order_id),
+// а оплата и возвраты приходят настоящими подписанными вебхуками на notify_url,
+// поэтому весь путь покупки проверяется без учетных данных шлюза.
+// Подключается только при FAKE_PAYMENTS=true.
+import express from "express";
+import axios from "axios";
+import crypto from "crypto";
+import { generateSignature, verifySignature } from './bilee.js';
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+export function createFakeProvider({ serverUrl, delayMs = 500 }) {
+  // Вебхуки приходят от этого же процесса, поэтому секрет живет только в памяти
+  const secret = crypto.randomBytes(32).toString("hex");
+  const payments = new Map();
+  const router = express.Router();
+
+  const notify = async (url, data) => {
+    const body = { ...data };
+    body.signature = generateSignature(body, secret);
+
+    try {
+      await axios.post(url, body, { timeout: 10000 });
+    } catch (error) {
+      console.error(`❌ fake-payments: вебхук ${url} не доставлен: ${error.response?.status || error.message}`);
+    }
+  };
+
+  // Страница оплаты: ?result=success|fail сразу завершает платеж
+  router.get("/pay/:order_id", async (req, res) => {
+    const { order_id } = req.params;
+    const payment = payments.get(order_id);
+
+    if (!payment) {
+      return res.status(404).send("Payment not found");
+    }
+
+    const { result } = req.query;
+
+    if (result !== "success" && result !== "fail") {
+      const link = (value) => `/payments/fake/pay/${encodeURIComponent(order_id)}?result=${value}`;
+      return res.send(`
+        <!DOCTYPE html>
+        <html>
+        <head><title>Тестовая оплата</title></head>
+        <body style="font-family: Arial; padding: 20px;">
+          <h1>🧪 Тестовая оплата</h1>
+          <p>Заказ ${escapeHtml(order_id)}: ${payment.amount} ${escapeHtml(payment.currency)}</p>
+          <p><a href="${link("success")}">✅ Оплатить</a> &nbsp; <a href="${link("fail")}">❌ Отказ</a></p>
+        </body>
+        </html>
+      `);
+    }
+
+    if (payment.status === "pending") {
+      payment.status = result;
+      await notify(payment.notify_url, { order_id, status: result, amount: payment.amount });
+    }
+
+    res.redirect(payment.status === "success" ? payment.success_url : payment.fail_url);
+  });
+
+  return {
+    name: "fake",
+    configured: true,
+    router,
+
+    async createPayment({ order_id, amount, currency, success_url, fail_url, notify_url }) {
+      payments.set(order_id, { amount, currency, success_url, fail_url, notify_url, status: "pending" });
+      console.log(`🧪 fake-payments: платеж ${order_id} на ${amount} ${currency}`);
+
+      return { url: `${serverUrl}/payments/fake/pay/${encodeURIComponent(order_id)}` };
+    },
+
+    verifyWebhook(body) {
+      if (!verifySignature(body, secret)) {
+        return { error: "invalid_signature" };
+      }
+
+      return {
+        event: {
+          type: body.refund_id ? "refund" : "payment",
+          order_id: body.order_id,
+          refund_id: body.refund_id || null,
+          status: body.status,
+          amount: Number(body.amount)
+        }
+      };
+    },
+
+    // Возврат всегда успешен и подтверждается вебхуком через delayMs
+    async refund({ order_id, refund_id, amount, notify_url }) {
+      setTimeout(() => notify(notify_url, { order_id, refund_id, status: "success", amount }), delayMs);
+    },
+
+    async getPaymentStatus(order_id) {
+      const payment = payments.get(order_id);
+      return { status: payment?.status || "not_found", amount: payment?.amount ?? null };
+    }
+  };
+}
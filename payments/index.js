@@ -0,0 +1,36 @@
+// Реестр платежных провайдеров.
+// Провайдер — объект с name, configured и методами:
+//   createPayment({ order_id, method, amount, currency, description, success_url, fail_url, notify_url }) → { url }
+//   verifyWebhook(body) → { event } | { error }, где event = { type: "payment" | "refund", order_id, refund_id, status, amount }
+//   refund({ order_id, refund_id, amount, currency, description, notify_url })
+//   getPaymentStatus(order_id) → { status, amount }, status: success | fail | pending | not_found
+// Суммы — в основных единицах валюты (199.9), как их принимают шлюзы.
+// Необязательные поля: currencies — принимаемые валюты (по умолчанию любые),
+// notifyPath — адрес вебхука (по умолчанию /payments/<name>/notify)
+// и router — собственные маршруты провайдера, монтируются в /payments/<name>.
+export { createBileeProvider } from './bilee.js';
+export { createFakeProvider } from './fake.js';
+
+// "card:bilee, test:fake" → { card: "bilee", test: "fake" }
+export function parseMethodMap(value) {
+  return Object.fromEntries(
+    value.split(",")
+      .map(pair => pair.split(":").map(part => part.trim()))
+      .filter(([method, provider]) => method && provider)
+  );
+}
+
+export function createPaymentProviders({ providers, methods = {}, defaultProvider }) {
+  const byName = new Map(providers.map(provider => [provider.name, provider]));
+
+  return {
+    list: () => [...byName.values()],
+
+    get: (name) => byName.get(name) || null,
+
+    // Провайдер для способа оплаты: явная привязка или провайдер по умолчанию
+    forMethod: (method) => byName.get(methods[method] || defaultProvider) || null,
+
+    notifyPath: (provider) => provider.notifyPath || `/payments/${provider.name}/notify`
+  };
+}
@@ -0,0 +1,116 @@
+// Ограничение частоты запросов с фиксированным окном.
+// Хранилище счетчиков подключаемое: любой объект с increment/get/reset/entries,
+// по умолчанию — память процесса.
+
+export function createMemoryStore() {
+  const buckets = new Map();
+  let operations = 0;
+
+  const prune = () => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt <= now) buckets.delete(key);
+    }
+  };
+
+  return {
+    async increment(key, windowMs) {
+      if (++operations % 1000 === 0) prune();
+
+      const now = Date.now();
+      let bucket = buckets.get(key);
+
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs };
+        buckets.set(key, bucket);
+      }
+
+      bucket.count++;
+      return { ...bucket };
+    },
+
+    async get(key) {
+      const bucket = buckets.get(key);
+      return bucket && bucket.resetAt > Date.now() ? { ...bucket } : null;
+    },
+
+    async reset(key) {
+      buckets.delete(key);
+    },
+
+    async entries() {
+      prune();
+      return [...buckets].map(([key, bucket]) => ({ key, ...bucket }));
+    }
+  };
+}
+
+export function tooManyRequests(res, retryAfter, error = "Too many requests") {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error,
+    retry_after: retryAfter
+  });
+}
+
+// keyFor(req) возвращает ключ счетчика (IP, id заказа) или null, чтобы пропустить запрос
+export function createRateLimiter({ name, store, windowMs, max, keyFor = null }) {
+  const prefix = `${name}:`;
+
+  const result = (bucket) => ({
+    count: bucket?.count || 0,
+    limited: !!bucket && bucket.count > max,
+    retryAfter: bucket ? Math.max(1, Math.ceil((bucket.resetAt - Date.now()) / 1000)) : 0
+  });
+
+  return {
+    name,
+    windowMs,
+    max,
+
+    // Засчитывает попытку
+    async hit(key) {
+      return result(await store.increment(prefix + key, windowMs));
+    },
+
+    // Проверяет без учета попытки: лимит уже исчерпан
+    async check(key) {
+      const bucket = await store.get(prefix + key);
+      return { ...result(bucket), limited: !!bucket && bucket.count >= max };
+    },
+
+    async reset(key) {
+      await store.reset(prefix + key);
+    },
+
+    middleware() {
+      return async (req, res, next) => {
+        try {
+          const key = keyFor(req);
+          if (!key) return next();
+
+          const { limited, retryAfter } = await this.hit(key);
+          if (limited) {
+            console.warn(`🚦 ${name}: лимит превышен для ${key}`);
+            return tooManyRequests(res, retryAfter);
+          }
+          next();
+        } catch (error) {
+          next(error);
+        }
+      };
+    },
+
+    async snapshot() {
+      const entries = (await store.entries()).filter(e => e.key.startsWith(prefix));
+
+      return entries.map(({ key, count, resetAt }) => ({
+        key: key.slice(prefix.length),
+        count,
+        limited: count >= max,
+        reset_at: new Date(resetAt).toISOString()
+      }));
+    }
+  };
+}
@@ -0,0 +1,636 @@
+// Описание всех маршрутов API: входные данные (params, query, body) в JSON Schema.
+// По этим схемам validateRequest проверяет запросы, а buildOpenApiDocument
+// собирает документ /openapi.json.
+//
+// auth: "order_token" — токен заказа, "customer_session" — сессия из ссылки в письме,
+// "admin_session" — cookie веб-админки, "webhook" — подпись платежного шлюза,
+// строка со scope — API-ключ, cookie админки или подпись бота (см. requireScope).
+//
+// Денежные поля в разных единицах, см. MONEY_UNITS.
+
+const orderId = { type: "string", minLength: 1, maxLength: 100 };
+const email = { type: "string", format: "email", maxLength: 254 };
+const orderToken = { type: "string", pattern: "^[a-f0-9]{64}$", description: "Токен доступа к заказу (можно передать в x-order-token)" };
+const productId = { type: "string", pattern: "^[A-Za-z0-9_-]{1,64}$" };
+const positiveInt = { type: "integer", minimum: 1 };
+const nullablePositiveInt = { type: ["integer", "null"], minimum: 1 };
+
+// Попадает в описание /openapi.json
+export const MONEY_UNITS = [
+  "Денежные поля API в разных единицах.",
+  "В целых единицах основной валюты задаются price товара, value и min_cart_total промокода, max_cart_total в настройках.",
+  "Витрина, покупатель и бот получают price, amount, subtotal, discount, refunded_amount и max_cart_total в целых единицах валюты заказа; точные суммы — в тех же полях с суффиксом _minor.",
+  "В минорных единицах (копейки, центы) задаются prices товара, сумма возврата и фильтры amount_min/amount_max, в них же админка получает суммы заказов и отчетов."
+].join(" ");
+const dateOrDateTime = { type: "string", anyOf: [{ format: "date" }, { format: "date-time" }] };
+export const LANGUAGES = ["ru", "en"];
+
+const lang = { type: "string", enum: LANGUAGES };
+const currency = { type: "string", pattern: "^[A-Z]{3}$", description: "Код валюты ISO 4217; по умолчанию — основная" };
+const outboxQueue = { type: "string", enum: ["bot", "email"], default: "bot", description: "bot — уведомления боту, email — письма покупателям" };
+
+// price — в целых единицах основной валюты, prices — в минорных (копейки, центы)
+const productFields = {
+  name: { type: "string", minLength: 1, maxLength: 200 },
+  description: { type: ["string", "null"], maxLength: 2000 },
+  price: { ...positiveInt, description: "Цена в целых единицах основной валюты (вместо prices)" },
+  prices: {
+    type: "object",
+    propertyNames: { pattern: "^[A-Z]{3}$" },
+    additionalProperties: nullablePositiveInt,
+    description: "Валюта → цена в минорных единицах; без цены в валюте она считается по курсу, null в PATCH убирает цену"
+  },
+  translations: {
+    type: "object",
+    propertyNames: lang,
+    additionalProperties: {
+      type: ["object", "null"],
+      properties: {
+        name: { type: ["string", "null"], maxLength: 200 },
+        description: { type: ["string", "null"], maxLength: 2000 }
+      }
+    },
+    description: "Язык → { name, description }; null в PATCH убирает перевод"
+  },
+  image: { type: "string", format: "uri", description: "http(s) URL картинки" },
+  gift: { type: "boolean" },
+  category: { type: ["string", "null"], maxLength: 64 },
+  sort_order: { type: "integer" },
+  active: { type: "boolean" },
+  stock: { type: ["integer", "null"], minimum: 0, description: "Остаток; null — без учета" },
+  max_quantity: { ...nullablePositiveInt, description: "Максимум в одном заказе" }
+};
+
+const promoFields = {
+  type: { type: "string", enum: ["percent", "fixed"] },
+  value: { ...positiveInt, description: "Процент (1-100) или сумма в целых единицах основной валюты" },
+  expires_at: { type: ["string", "null"], format: "date-time" },
+  max_uses: { ...nullablePositiveInt, description: "Проверяется при создании заказа: заказы, оплаченные одновременно, могут превысить лимит" },
+  max_uses_per_email: { ...nullablePositiveInt, description: "Email сравнивается без учета регистра" },
+  min_cart_total: { ...nullablePositiveInt, description: "В целых единицах основной валюты" },
+  product_ids: { type: ["array", "null"], items: productId },
+  active: { type: "boolean" }
+};
+
+// Фильтры заказов: поиск в админке и выгрузка
+const orderFilters = {
+  status: { type: "string", maxLength: 200, description: "Статус или несколько через запятую" },
+  payment_status: { type: "string", maxLength: 32 },
+  gift: { type: "boolean", description: "true — только подарки, false — без подарков" },
+  gift_status: { type: "string", enum: ["awaiting_payment", "pending", "redeemed", "expired"] },
+  email: { type: "string", maxLength: 254 },
+  q: { type: "string", minLength: 1, maxLength: 100, description: "Поиск по id заказа и email" },
+  product_id: productId,
+  amount_min: { type: "integer", minimum: 0, description: "В минорных единицах основной валюты" },
+  amount_max: { type: "integer", minimum: 0, description: "В минорных единицах основной валюты" },
+  created_from: dateOrDateTime,
+  created_to: { ...dateOrDateTime, description: "Дата без времени включает весь день" }
+};
+
+// Период отчета и формат выгрузки; по умолчанию — последние 30 дней
+const analyticsRange = {
+  from: dateOrDateTime,
+  to: { ...dateOrDateTime, description: "Дата без времени включает весь день" },
+  format: { type: "string", enum: ["json", "csv"], default: "json" }
+};
+
+const object = (properties, required = [], extra = {}) => ({ type: "object", properties, required, ...extra });
+
+export const ROUTES = {
+  // ===== Фронтенд =====
+  orderStatus: {
+    method: "get",
+    path: "/api/order-status/:order_id",
+    tags: ["Заказ"],
+    summary: "Статус заказа",
+    auth: "order_token",
+    params: object({ order_id: orderId }, ["order_id"])
+  },
+  orderStatusStream: {
+    method: "get",
+    path: "/api/order-status/:order_id/stream",
+    tags: ["Заказ"],
+    summary: "Поток изменений статуса заказа (SSE)",
+    auth: "order_token",
+    params: object({ order_id: orderId }, ["order_id"]),
+    query: object({
+      token: { ...orderToken, description: "Токен заказа: EventSource не умеет передавать заголовки" },
+      last_event_id: { type: "integer", minimum: 0, description: "Вместо заголовка Last-Event-ID" }
+    })
+  },
+  submitEmail: {
+    method: "post",
+    path: "/submit-email",
+    tags: ["Заказ"],
+    summary: "Отправить email для оплаченного заказа",
+    auth: "order_token",
+    body: object({ order_id: orderId, email, token: orderToken }, ["order_id", "email"])
+  },
+  submitCode: {
+    method: "post",
+    path: "/api/submit-code",
+    tags: ["Заказ"],
+    summary: "Отправить код подтверждения",
+    auth: "order_token",
+    body: object({
+      order_id: orderId,
+      email,
+      code: { type: "string", minLength: 1, maxLength: 64 },
+      token: orderToken
+    }, ["order_id", "email", "code"])
+  },
+  products: {
+    method: "get",
+    path: "/api/products",
+    tags: ["Каталог"],
+    summary: "Активные товары в наличии",
+    query: object({
+      category: { type: "string", maxLength: 64 },
+      currency: { ...currency, description: "Валюта цен; по умолчанию — основная" },
+      lang: { ...lang, description: "Язык названий и описаний" }
+    })
+  },
+  createPayment: {
+    method: "post",
+    path: "/create-payment",
+    tags: ["Оплата"],
+    summary: "Создать заказ и платеж",
+    body: object({
+      items: {
+        type: "object",
+        minProperties: 1,
+        maxProperties: 100,
+        additionalProperties: { type: "number" },
+        description: "Корзина: id товара → количество"
+      },
+      method: { type: "string", minLength: 1, maxLength: 64, description: "Способ оплаты (method_slug)" },
+      promo_code: { type: "string", maxLength: 32 },
+      email: { ...email, description: "Для промокодов с лимитом на email и писем о ходе заказа" },
+      lang: { ...lang, description: "Язык писем покупателю и названий в заказе" },
+      currency,
+      gift: object({
+        recipient_email: email,
+        message: { type: "string", maxLength: 500 }
+      }, ["recipient_email"], { description: "Оплата в подарок (только товары с gift): email и код вводит получатель по ссылке из письма" })
+    }, ["items", "method"])
+  },
+  bileeNotify: {
+    method: "post",
+    path: "/bilee-notify",
+    tags: ["Оплата"],
+    summary: "Вебхук BileePay",
+    auth: "webhook",
+    body: object({
+      order_id: orderId,
+      status: { type: "string", maxLength: 64 },
+      amount: { type: ["number", "string"] },
+      shop_id: { type: ["number", "string"] },
+      signature: { type: "string", maxLength: 128 },
+      refund_id: { type: "string", maxLength: 128, description: "Есть только в уведомлениях о возврате" }
+    }, ["order_id", "status", "signature"])
+  },
+  paymentWebhook: {
+    method: "post",
+    path: "/payments/:provider/notify",
+    tags: ["Оплата"],
+    summary: "Вебхук платежного провайдера",
+    auth: "webhook",
+    params: object({ provider: { type: "string", pattern: "^[a-z0-9_-]{1,32}$" } }, ["provider"]),
+    body: object({
+      order_id: orderId,
+      status: { type: "string", maxLength: 64 },
+      amount: { type: ["number", "string"] },
+      signature: { type: "string", maxLength: 128 },
+      refund_id: { type: "string", maxLength: 128 }
+    }, ["order_id", "status", "signature"])
+  },
+
+  // ===== Бот =====
+  addProduct: {
+    method: "post",
+    path: "/api/add-product",
+    tags: ["Каталог (админ)"],
+    summary: "Добавить товар (совместимость с ботом)",
+    auth: "catalog:write",
+    body: object({ id: productId, ...productFields }, ["id", "name", "price", "image"])
+  },
+  deleteProduct: {
+    method: "post",
+    path: "/api/delete-product",
+    tags: ["Каталог (админ)"],
+    summary: "Удалить товар (совместимость с ботом)",
+    auth: "catalog:write",
+    body: object({ id: productId }, ["id"])
+  },
+  orderStatusUpdate: {
+    method: "post",
+    path: "/api/order-status-update",
+    tags: ["Заказы (админ)"],
+    summary: "Сменить статус заказа",
+    auth: "orders:write",
+    body: object({
+      order_id: orderId,
+      status: { type: "string", maxLength: 32, description: "Новый статус; допустимые переходы проверяет сервер" },
+      admin_comment: { type: "string", maxLength: 1000 }
+    }, ["order_id", "status"])
+  },
+  adminOrders: {
+    method: "get",
+    path: "/api/admin/orders",
+    tags: ["Заказы (админ)"],
+    summary: "Поиск заказов",
+    auth: "orders:read",
+    query: object({
+      limit: { type: "integer", minimum: 1, maximum: 500, default: 50 },
+      cursor: { type: "string", maxLength: 500, description: "next_cursor из предыдущей страницы" },
+      sort: { type: "string", enum: ["created_at", "updated_at", "amount"], default: "created_at" },
+      order: { type: "string", enum: ["asc", "desc"], default: "desc" },
+      ...orderFilters
+    })
+  },
+  adminOrder: {
+    method: "get",
+    path: "/api/admin/orders/:id",
+    tags: ["Заказы (админ)"],
+    summary: "Полный заказ",
+    auth: "orders:read",
+    params: object({ id: orderId }, ["id"])
+  },
+  adminReassignGift: {
+    method: "post",
+    path: "/api/admin/orders/:id/gift",
+    tags: ["Заказы (админ)"],
+    summary: "Переназначить подарок и отправить получателю новую ссылку",
+    auth: "orders:write",
+    params: object({ id: orderId }, ["id"]),
+    body: object({
+      recipient_email: { ...email, description: "Новый получатель; по умолчанию — прежний" },
+      message: { type: ["string", "null"], maxLength: 500 }
+    })
+  },
+  adminEvents: {
+    method: "get",
+    path: "/api/admin/events",
+    tags: ["Заказы (админ)"],
+    summary: "Поток событий всех заказов (SSE)",
+    auth: "orders:read",
+    query: object({
+      last_event_id: { type: "integer", minimum: 0, description: "Вместо заголовка Last-Event-ID" }
+    })
+  },
+
+  // ===== Каталог =====
+  adminProducts: {
+    method: "get",
+    path: "/api/admin/products",
+    tags: ["Каталог (админ)"],
+    summary: "Все товары, включая скрытые",
+    auth: "catalog:write"
+  },
+  adminCreateProduct: {
+    method: "post",
+    path: "/api/admin/products",
+    tags: ["Каталог (админ)"],
+    summary: "Создать товар",
+    auth: "catalog:write",
+    body: object({ id: productId, ...productFields }, ["id", "name", "image"])
+  },
+  adminUpdateProduct: {
+    method: "patch",
+    path: "/api/admin/products/:id",
+    tags: ["Каталог (админ)"],
+    summary: "Изменить поля товара",
+    auth: "catalog:write",
+    params: object({ id: productId }, ["id"]),
+    body: object(productFields, [], { minProperties: 1 })
+  },
+  adminDeleteProduct: {
+    method: "delete",
+    path: "/api/admin/products/:id",
+    tags: ["Каталог (админ)"],
+    summary: "Удалить товар",
+    auth: "catalog:write",
+    params: object({ id: productId }, ["id"])
+  },
+  adminReorderProducts: {
+    method: "post",
+    path: "/api/admin/products/reorder",
+    tags: ["Каталог (админ)"],
+    summary: "Задать порядок товаров",
+    auth: "catalog:write",
+    body: object({ ids: { type: "array", minItems: 1, maxItems: 1000, items: productId } }, ["ids"])
+  },
+
+  // ===== Промокоды =====
+  adminPromoCodes: {
+    method: "get",
+    path: "/api/admin/promo-codes",
+    tags: ["Промокоды"],
+    summary: "Список промокодов",
+    auth: "catalog:write"
+  },
+  adminCreatePromoCode: {
+    method: "post",
+    path: "/api/admin/promo-codes",
+    tags: ["Промокоды"],
+    summary: "Создать промокод",
+    auth: "catalog:write",
+    body: object({ code: { type: "string", pattern: "^[A-Za-z0-9_-]{3,32}$" }, ...promoFields }, ["code", "type", "value"])
+  },
+  adminUpdatePromoCode: {
+    method: "patch",
+    path: "/api/admin/promo-codes/:code",
+    tags: ["Промокоды"],
+    summary: "Изменить промокод",
+    auth: "catalog:write",
+    params: object({ code: { type: "string", maxLength: 32 } }, ["code"]),
+    body: object(promoFields, [], { minProperties: 1 })
+  },
+  adminDeletePromoCode: {
+    method: "delete",
+    path: "/api/admin/promo-codes/:code",
+    tags: ["Промокоды"],
+    summary: "Удалить промокод",
+    auth: "catalog:write",
+    params: object({ code: { type: "string", maxLength: 32 } }, ["code"])
+  },
+
+  // ===== Настройки =====
+  adminSettings: {
+    method: "get",
+    path: "/api/admin/settings",
+    tags: ["Настройки"],
+    summary: "Настройки магазина и лимиты товаров",
+    auth: "settings:write"
+  },
+  adminUpdateSettings: {
+    method: "patch",
+    path: "/api/admin/settings",
+    tags: ["Настройки"],
+    summary: "Изменить лимит корзины, лимиты товаров и курсы валют",
+    auth: "settings:write",
+    body: object({
+      max_cart_total: { ...positiveInt, description: "В целых единицах основной валюты" },
+      product_limits: {
+        type: "object",
+        additionalProperties: nullablePositiveInt,
+        description: "id товара → max_quantity или null"
+      },
+      exchange_rates: {
+        type: "object",
+        propertyNames: { pattern: "^[A-Z]{3}$" },
+        additionalProperties: { type: ["number", "null"], exclusiveMinimum: 0 },
+        description: "Валюта → сколько единиц основной валюты стоит ее единица; null убирает валюту"
+      }
+    }, [], { minProperties: 1 })
+  },
+
+  // ===== Очередь уведомлений =====
+  adminOutbox: {
+    method: "get",
+    path: "/api/admin/outbox",
+    tags: ["Уведомления"],
+    summary: "Очередь уведомлений боту или писем покупателям",
+    auth: "orders:read",
+    query: object({
+      queue: outboxQueue,
+      status: { type: "string", enum: ["pending", "delivered", "dead"] }
+    })
+  },
+  adminOutboxRetry: {
+    method: "post",
+    path: "/api/admin/outbox/:id/retry",
+    tags: ["Уведомления"],
+    summary: "Повторить доставку уведомления",
+    auth: "orders:write",
+    params: object({ id: { type: "string", format: "uuid" } }, ["id"]),
+    query: object({ queue: outboxQueue })
+  },
+  adminOutboxRetryDead: {
+    method: "post",
+    path: "/api/admin/outbox/retry-dead",
+    tags: ["Уведомления"],
+    summary: "Повторить доставку всех уведомлений из dead-letter",
+    auth: "orders:write",
+    query: object({ queue: outboxQueue })
+  },
+
+  // ===== API-ключи =====
+  adminApiKeys: {
+    method: "get",
+    path: "/api/admin/api-keys",
+    tags: ["API-ключи"],
+    summary: "Список ключей",
+    auth: "keys:manage"
+  },
+  adminCreateApiKey: {
+    method: "post",
+    path: "/api/admin/api-keys",
+    tags: ["API-ключи"],
+    summary: "Выпустить ключ",
+    auth: "keys:manage",
+    body: object({
+      name: { type: "string", minLength: 1, maxLength: 100 },
+      scopes: {
+        type: "array",
+        minItems: 1,
+        items: { type: "string", maxLength: 32 },
+        description: "Список scope; допустимые возвращает GET /api/admin/api-keys"
+      }
+    }, ["name", "scopes"])
+  },
+  adminRevokeApiKey: {
+    method: "delete",
+    path: "/api/admin/api-keys/:id",
+    tags: ["API-ключи"],
+    summary: "Отозвать ключ",
+    auth: "keys:manage",
+    params: object({ id: { type: "string", pattern: "^[a-f0-9]{16}$" } }, ["id"])
+  },
+
+  // ===== Лимиты запросов =====
+  adminRateLimits: {
+    method: "get",
+    path: "/api/admin/rate-limits",
+    tags: ["Лимиты запросов"],
+    summary: "Счетчики лимитов",
+    auth: "settings:write"
+  },
+  adminResetRateLimit: {
+    method: "post",
+    path: "/api/admin/rate-limits/reset",
+    tags: ["Лимиты запросов"],
+    summary: "Сбросить счетчик",
+    auth: "settings:write",
+    body: object({
+      limiter: { type: "string", maxLength: 32, description: "Имя лимитера из GET /api/admin/rate-limits" },
+      key: { type: "string", minLength: 1, maxLength: 200 }
+    }, ["limiter", "key"])
+  },
+
+  // ===== Возвраты =====
+  adminRefundOrder: {
+    method: "post",
+    path: "/api/admin/orders/:id/refund",
+    tags: ["Заказы (админ)"],
+    summary: "Вернуть деньги (полностью или частично) или отменить заказ",
+    auth: "orders:write",
+    params: object({ id: orderId }, ["id"]),
+    body: object({
+      amount: { ...positiveInt, description: "Сумма в минорных единицах валюты заказа; по умолчанию — весь остаток" },
+      reason: { type: "string", maxLength: 500 },
+      cancel: { type: "boolean", description: "Отклонить заказ и вернуть весь остаток" }
+    })
+  },
+
+  // ===== Сверка платежей =====
+  adminReconciliationReports: {
+    method: "get",
+    path: "/api/admin/reconciliation",
+    tags: ["Заказы (админ)"],
+    summary: "Отчеты сверки платежей с шлюзом",
+    auth: "orders:read",
+    query: object({ limit: { type: "integer", minimum: 1, maximum: 100, default: 10 } })
+  },
+  adminRunReconciliation: {
+    method: "post",
+    path: "/api/admin/reconciliation/run",
+    tags: ["Заказы (админ)"],
+    summary: "Запустить сверку сейчас",
+    auth: "orders:write"
+  },
+
+  // ===== Аналитика =====
+  adminAnalyticsRevenue: {
+    method: "get",
+    path: "/api/admin/analytics/revenue",
+    tags: ["Аналитика"],
+    summary: "Выручка по дням, неделям или месяцам",
+    auth: "orders:read",
+    query: object({
+      ...analyticsRange,
+      period: { type: "string", enum: ["day", "week", "month"], default: "day" }
+    })
+  },
+  adminAnalyticsOrders: {
+    method: "get",
+    path: "/api/admin/analytics/orders",
+    tags: ["Аналитика"],
+    summary: "Статусы, воронка, время выполнения и отказы",
+    auth: "orders:read",
+    query: object(analyticsRange)
+  },
+  adminAnalyticsProducts: {
+    method: "get",
+    path: "/api/admin/analytics/products",
+    tags: ["Аналитика"],
+    summary: "Топ товаров по количеству или выручке",
+    auth: "orders:read",
+    query: object({
+      ...analyticsRange,
+      by: { type: "string", enum: ["quantity", "revenue"], default: "revenue" },
+      limit: { type: "integer", minimum: 1, maximum: 100, default: 10 }
+    })
+  },
+
+  // ===== Экспорт и импорт =====
+  adminExportOrders: {
+    method: "get",
+    path: "/api/admin/export/orders",
+    tags: ["Экспорт и импорт"],
+    summary: "Выгрузка заказов в CSV или NDJSON",
+    auth: "orders:read",
+    query: object({
+      format: { type: "string", enum: ["csv", "ndjson"], default: "csv" },
+      include_sensitive: { type: "boolean", default: false, description: "Открытые код и email (нужен scope orders:sensitive); без него email замаскированы" },
+      ...orderFilters
+    })
+  },
+  adminExportProducts: {
+    method: "get",
+    path: "/api/admin/export/products",
+    tags: ["Экспорт и импорт"],
+    summary: "Выгрузка каталога в CSV или JSON",
+    auth: "catalog:write",
+    query: object({ format: { type: "string", enum: ["csv", "json"], default: "csv" } })
+  },
+  adminImportProducts: {
+    method: "post",
+    path: "/api/admin/import/products",
+    tags: ["Экспорт и импорт"],
+    summary: "Импорт каталога из CSV (text/csv) или JSON",
+    auth: "catalog:write",
+    query: object({ dry_run: { type: "boolean", default: false } }),
+    body: {
+      type: ["array", "object", "string"],
+      description: "JSON-массив товаров, { products: [...] } или CSV с колонками как в выгрузке"
+    }
+  },
+
+  // ===== История заказов покупателя =====
+  customerLogin: {
+    method: "post",
+    path: "/api/customer/login",
+    tags: ["Покупатель"],
+    summary: "Отправить на email ссылку на историю заказов",
+    body: object({ email, lang: { ...lang, description: "Язык письма; по умолчанию — как у последнего заказа" } }, ["email"])
+  },
+  customerSession: {
+    method: "post",
+    path: "/api/customer/session",
+    tags: ["Покупатель"],
+    summary: "Обменять одноразовую ссылку на сессию",
+    body: object({ token: { type: "string", pattern: "^[a-f0-9]{64}$", description: "Параметр login из ссылки" } }, ["token"])
+  },
+  customerOrders: {
+    method: "get",
+    path: "/api/customer/orders",
+    tags: ["Покупатель"],
+    summary: "Заказы покупателя",
+    auth: "customer_session"
+  },
+  customerLogout: {
+    method: "post",
+    path: "/api/customer/logout",
+    tags: ["Покупатель"],
+    summary: "Завершить сессию",
+    auth: "customer_session"
+  },
+
+  // ===== Веб-админка =====
+  adminLogin: {
+    method: "post",
+    path: "/api/admin/session",
+    tags: ["Веб-админка"],
+    summary: "Войти в админку по паролю",
+    body: object({ password: { type: "string", minLength: 1, maxLength: 200 } }, ["password"])
+  },
+  adminSession: {
+    method: "get",
+    path: "/api/admin/session",
+    tags: ["Веб-админка"],
+    summary: "Текущая сессия и CSRF-токен",
+    auth: "admin_session"
+  },
+  adminLogout: {
+    method: "delete",
+    path: "/api/admin/session",
+    tags: ["Веб-админка"],
+    summary: "Выйти из админки",
+    auth: "admin_session"
+  },
+
+  // ===== Система =====
+  health: {
+    method: "get",
+    path: "/health",
+    tags: ["Система"],
+    summary: "Проверка здоровья"
+  },
+  openapi: {
+    method: "get",
+    path: "/openapi.json",
+    tags: ["Система"],
+    summary: "Этот документ"
+  }
+};
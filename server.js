@@ -2,10 +2,20 @@ import express from "express";
 import axios from "axios";
 import crypto from "crypto";
 import cors from "cors";
-import { Low } from 'lowdb';
-import { JSONFile } from 'lowdb/node';
 import path from 'path';
+import { once } from 'events';
 import { fileURLToPath } from 'url';
+import { createStorage } from './storage/index.js';
+import { createOutbox } from './outbox.js';
+import { createMemoryStore, createRateLimiter, tooManyRequests } from './rate-limit.js';
+import { LANGUAGES, MONEY_UNITS, ROUTES } from './schemas.js';
+import { buildOpenApiDocument, validateRequest } from './validation.js';
+import { csvHeader, csvRow, parseCsv, sendCsv } from './csv.js';
+import { createMailer, renderEmail, formatGiftItems, formatOrderItems } from './mailer/index.js';
+import { createFieldCipher, maskEmail, maskSecret, parseKeyRing } from './field-crypto.js';
+import { convertMinor, formatMoney, isCurrencyCode, parseRates, toMajor, toMinor } from './money.js';
+import { createEventBus, openEventStream } from './sse.js';
+import { createBileeProvider, createFakeProvider, createPaymentProviders, parseMethodMap } from './payments/index.js';
 
 // =========== НАСТРОЙКИ ===========
 const __filename = fileURLToPath(import.meta.url);
@@ -16,58 +26,523 @@ const CONFIG = {
   SHOP_ID: Number(process.env.SHOP_ID) || 0,
   BILEE_PASSWORD: process.env.BILEE_PASSWORD || "",
   BILEE_API: process.env.BILEE_API_URL || "https://paymentgate.bilee.ru/api",
+  PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER || "bilee",
+  // Привязка способов оплаты к провайдерам: "sbp:bilee,test:fake"
+  PAYMENT_METHODS: process.env.PAYMENT_METHODS || "",
+  // NODE_ENV=production: сервер не запускается с настройками только для разработки
+  PRODUCTION: process.env.NODE_ENV === 'production',
+  // Тестовый провайдер без списания денег — только для разработки
+  FAKE_PAYMENTS: process.env.FAKE_PAYMENTS === 'true',
+  // Сверка с шлюзом заказов, оставшихся в created: пропущенные вебхуки и брошенные заказы
+  RECONCILE_INTERVAL_MS: Number(process.env.RECONCILE_INTERVAL_MS) || 5 * 60 * 1000,
+  RECONCILE_AFTER_MS: Number(process.env.RECONCILE_AFTER_MS) || 15 * 60 * 1000,
+  ORDER_TTL_MS: Number(process.env.ORDER_TTL_MS) || 24 * 60 * 60 * 1000,
+  RECONCILE_REPORTS_KEEP: Number(process.env.RECONCILE_REPORTS_KEEP) || 100,
   API_SECRET: process.env.API_SECRET || "",
+  // Предыдущий секрет на время ротации: подписи им еще принимаются
+  API_SECRET_PREVIOUS: process.env.API_SECRET_PREVIOUS || "",
+  SIGNATURE_TOLERANCE_SEC: Number(process.env.SIGNATURE_TOLERANCE_SEC) || 300,
   SERVER_URL: process.env.SERVER_URL || `https://duck-backend-by9a.onrender.com`,
   FRONTEND_URL: process.env.FRONTEND_URL || "https://destrkod.github.io/duck",
   BOT_URL: process.env.BOT_URL || "",
   CREATE_TEST_PRODUCTS: process.env.CREATE_TEST_PRODUCTS === 'true',
-  MAX_CART_TOTAL: Number(process.env.MAX_CART_TOTAL) || 10000
+  MAX_CART_TOTAL: Number(process.env.MAX_CART_TOTAL) || 10000,
+  // Основная валюта: в ней лимит корзины, промокоды и аналитика
+  BASE_CURRENCY: process.env.BASE_CURRENCY || "RUB",
+  // Начальные курсы "USD:92.5,EUR:100": сколько единиц основной валюты стоит единица валюты
+  EXCHANGE_RATES: process.env.EXCHANGE_RATES || "",
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || "lowdb",
+  DB_FILE: process.env.DB_FILE || path.join(__dirname, 'db.json'),
+  SQLITE_FILE: process.env.SQLITE_FILE || path.join(__dirname, 'db.sqlite'),
+  BOT_MAX_ATTEMPTS: Number(process.env.BOT_MAX_ATTEMPTS) || 8,
+  OUTBOX_INTERVAL_MS: Number(process.env.OUTBOX_INTERVAL_MS) || 5000,
+  OUTBOX_BASE_DELAY_MS: Number(process.env.OUTBOX_BASE_DELAY_MS) || 5000,
+  // Разрешенные источники через запятую; по умолчанию — origin фронтенда
+  CORS_ORIGINS: process.env.CORS_ORIGINS || "",
+  TRUST_PROXY: Number(process.env.TRUST_PROXY ?? 1),
+  RATE_LIMIT_IP_PER_MIN: Number(process.env.RATE_LIMIT_IP_PER_MIN) || 120,
+  RATE_LIMIT_PAYMENTS_PER_MIN: Number(process.env.RATE_LIMIT_PAYMENTS_PER_MIN) || 10,
+  RATE_LIMIT_ORDER_SUBMITS: Number(process.env.RATE_LIMIT_ORDER_SUBMITS) || 10,
+  WRONG_EMAIL_LOCKOUT_ATTEMPTS: Number(process.env.WRONG_EMAIL_LOCKOUT_ATTEMPTS) || 5,
+  RATE_LIMIT_MAGIC_LINKS_PER_HOUR: Number(process.env.RATE_LIMIT_MAGIC_LINKS_PER_HOUR) || 5,
+  // Почта: console — письма в лог, file — .eml в MAIL_DIR, smtp — через SMTP_HOST
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || "console",
+  MAIL_DIR: process.env.MAIL_DIR || path.join(__dirname, 'mail'),
+  MAIL_FROM: process.env.MAIL_FROM || "Duck Shop <noreply@duck.shop>",
+  MAIL_DEFAULT_LANG: process.env.MAIL_DEFAULT_LANG || "ru",
+  MAIL_MAX_ATTEMPTS: Number(process.env.MAIL_MAX_ATTEMPTS) || 6,
+  SMTP_HOST: process.env.SMTP_HOST || "",
+  SMTP_PORT: Number(process.env.SMTP_PORT) || 587,
+  // true — TLS сразу (обычно порт 465); иначе STARTTLS, если сервер его поддерживает
+  SMTP_SECURE: process.env.SMTP_SECURE === 'true',
+  SMTP_USER: process.env.SMTP_USER || "",
+  SMTP_PASSWORD: process.env.SMTP_PASSWORD || "",
+  // Вход в историю заказов по ссылке из письма
+  CUSTOMER_LOGIN_URL: process.env.CUSTOMER_LOGIN_URL || "",
+  CUSTOMER_LOGIN_TTL_MS: Number(process.env.CUSTOMER_LOGIN_TTL_MS) || 15 * 60 * 1000,
+  CUSTOMER_SESSION_TTL_MS: Number(process.env.CUSTOMER_SESSION_TTL_MS) || 60 * 60 * 1000,
+  // Ключи шифрования полей заказа: "id:base64,..."; первый — текущий (см. field-crypto.js)
+  // В production без ключа сервер не запускается
+  FIELD_ENCRYPTION_KEYS: process.env.FIELD_ENCRYPTION_KEYS || "",
+  ENCRYPT_EMAILS: process.env.ENCRYPT_EMAILS === 'true',
+  // Ключ HMAC для email в журнале промокодов. Не ротируется: со сменой ключа
+  // обнулятся лимиты на email. В production обязателен
+  EMAIL_HASH_KEY: process.env.EMAIL_HASH_KEY || "",
+  // Код стирается после завершения заказа или по истечении CODE_TTL_MS
+  CODE_TTL_MS: Number(process.env.CODE_TTL_MS) || 24 * 60 * 60 * 1000,
+  // Закрытые заказы старше срока обезличиваются
+  ORDER_RETENTION_MS: Number(process.env.ORDER_RETENTION_MS) || 365 * 24 * 60 * 60 * 1000,
+  RETENTION_INTERVAL_MS: Number(process.env.RETENTION_INTERVAL_MS) || 60 * 60 * 1000,
+  // SSE: интервал heartbeat и сколько последних событий хранится для Last-Event-ID
+  SSE_HEARTBEAT_MS: Number(process.env.SSE_HEARTBEAT_MS) || 15000,
+  SSE_BUFFER_SIZE: Number(process.env.SSE_BUFFER_SIZE) || 1000,
+  // Веб-админка /admin: вход по паролю, сессия в cookie
+  ADMIN_PASSWORD: process.env.ADMIN_PASSWORD || "",
+  ADMIN_SESSION_TTL_MS: Number(process.env.ADMIN_SESSION_TTL_MS) || 12 * 60 * 60 * 1000,
+  ADMIN_LOGIN_ATTEMPTS: Number(process.env.ADMIN_LOGIN_ATTEMPTS) || 5,
+  // Ссылка на подарок действует GIFT_TTL_MS, потом неактивированный подарок истекает
+  GIFT_TTL_MS: Number(process.env.GIFT_TTL_MS) || 30 * 24 * 60 * 60 * 1000
 };
 
+CONFIG.CORS_ORIGINS = CONFIG.CORS_ORIGINS
+  ? CONFIG.CORS_ORIGINS.split(",").map(origin => origin.trim()).filter(Boolean)
+  : [new URL(CONFIG.FRONTEND_URL).origin];
+CONFIG.CUSTOMER_LOGIN_URL ||= `${CONFIG.FRONTEND_URL}/orders.html`;
+CONFIG.EXCHANGE_RATES = parseRates(CONFIG.EXCHANGE_RATES);
+
+if (!isCurrencyCode(CONFIG.BASE_CURRENCY)) {
+  throw new Error(`Invalid BASE_CURRENCY: "${CONFIG.BASE_CURRENCY}"`);
+}
+
+// Страница тестового провайдера отмечает заказ оплаченным без всякой проверки
+if (CONFIG.PRODUCTION && CONFIG.FAKE_PAYMENTS) {
+  throw new Error("FAKE_PAYMENTS must not be enabled in production");
+}
+
 // =========== CORS ===========
 const app = express();
 
-// ВАЖНО: CORS должен быть ПЕРВЫМ middleware
-app.use(cors({
-  origin: '*', // Разрешаем ВСЕМ (или конкретно: 'https://destrkod.github.io')
+// Render стоит за прокси: без этого req.ip будет адресом балансировщика
+app.set('trust proxy', CONFIG.TRUST_PROXY);
+
+const corsOptions = {
+  origin: CONFIG.CORS_ORIGINS,
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-secret', 'Accept']
-}));
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-order-token', 'x-customer-session', 'x-duck-timestamp', 'x-duck-signature', 'Accept'],
+  exposedHeaders: ['Retry-After']
+};
+
+// ВАЖНО: CORS должен быть ПЕРВЫМ middleware
+app.use(cors(corsOptions));
 
 // OPTIONS для preflight
-app.options('*', cors());
+app.options('*', cors(corsOptions));
+
+// Сырое тело нужно для проверки HMAC-подписи запросов от бота
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+
+// =========== ОГРАНИЧЕНИЕ ЗАПРОСОВ ===========
+const rateLimitStore = createMemoryStore();
+
+const rateLimiters = {
+  // Все публичные эндпоинты заказа, по IP
+  ip: createRateLimiter({
+    name: "ip",
+    store: rateLimitStore,
+    windowMs: 60 * 1000,
+    max: CONFIG.RATE_LIMIT_IP_PER_MIN,
+    keyFor: (req) => req.ip
+  }),
+  // Создание платежей, по IP
+  payments: createRateLimiter({
+    name: "payments",
+    store: rateLimitStore,
+    windowMs: 60 * 1000,
+    max: CONFIG.RATE_LIMIT_PAYMENTS_PER_MIN,
+    keyFor: (req) => req.ip
+  }),
+  // Отправка email/кода по одному заказу — защищает бота от потока уведомлений.
+  // Попытка засчитывается только после проверки токена (см. orderSubmitsLimited),
+  // иначе угадавший id заказа мог бы заблокировать настоящего покупателя
+  orderSubmits: createRateLimiter({
+    name: "order-submits",
+    store: rateLimitStore,
+    windowMs: 10 * 60 * 1000,
+    max: CONFIG.RATE_LIMIT_ORDER_SUBMITS
+  }),
+  // Блокировка заказа после неверных email в /api/submit-code
+  wrongEmail: createRateLimiter({
+    name: "wrong-email",
+    store: rateLimitStore,
+    windowMs: 15 * 60 * 1000,
+    max: CONFIG.WRONG_EMAIL_LOCKOUT_ATTEMPTS
+  }),
+  // Письма со ссылкой на историю заказов, по хешу email — адрес не попадает в лог
+  magicLinks: createRateLimiter({
+    name: "magic-links",
+    store: rateLimitStore,
+    windowMs: 60 * 60 * 1000,
+    max: CONFIG.RATE_LIMIT_MAGIC_LINKS_PER_HOUR,
+    keyFor: (req) => typeof req.body?.email === 'string' ? hashToken(normalizeEmail(req.body.email)) : null
+  }),
+  // Неверные пароли входа в админку, по IP
+  adminLogins: createRateLimiter({
+    name: "admin-logins",
+    store: rateLimitStore,
+    windowMs: 15 * 60 * 1000,
+    max: CONFIG.ADMIN_LOGIN_ATTEMPTS
+  })
+};
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+const limitByIp = rateLimiters.ip.middleware();
+const limitPayments = rateLimiters.payments.middleware();
+const limitMagicLinks = rateLimiters.magicLinks.middleware();
 
 // =========== БАЗА ДАННЫХ ===========
-const dbFile = path.join(__dirname, 'db.json');
-const adapter = new JSONFile(dbFile);
 const defaultData = { 
   products: [], 
   orders: [],
+  webhook_audit: [],
+  access_audit: [],
+  promo_codes: [],
+  bot_outbox: [],
+  email_outbox: [],
+  api_keys: [],
+  reconciliation_reports: [],
+  customer_logins: [],
+  customer_sessions: [],
+  admin_sessions: [],
   settings: {
     max_cart_total: CONFIG.MAX_CART_TOTAL,
+    exchange_rates: CONFIG.EXCHANGE_RATES,
     created_at: new Date().toISOString()
   }
 };
-const db = new Low(adapter, defaultData);
+const storage = createStorage({
+  driver: CONFIG.STORAGE_DRIVER,
+  jsonFile: CONFIG.DB_FILE,
+  sqliteFile: CONFIG.SQLITE_FILE,
+  defaults: defaultData
+});
+
+// =========== ПЛАТЕЖНЫЕ ПРОВАЙДЕРЫ ===========
+const paymentProviders = createPaymentProviders({
+  providers: [
+    createBileeProvider({
+      shopId: CONFIG.SHOP_ID,
+      password: CONFIG.BILEE_PASSWORD,
+      apiUrl: CONFIG.BILEE_API
+    }),
+    ...(CONFIG.FAKE_PAYMENTS ? [createFakeProvider({ serverUrl: CONFIG.SERVER_URL })] : [])
+  ],
+  methods: parseMethodMap(CONFIG.PAYMENT_METHODS),
+  defaultProvider: CONFIG.PAYMENT_PROVIDER
+});
+
+for (const provider of paymentProviders.list()) {
+  if (provider.router) {
+    app.use(`/payments/${provider.name}`, provider.router);
+  }
+}
+
+// Заказы до появления провайдеров оплачивались через BileePay
+function orderPaymentProvider(order) {
+  return paymentProviders.get(order.payment_provider || "bilee");
+}
+
+// Шлюзы принимают и присылают суммы в основных единицах валюты заказа
+function toGatewayAmount(order, amount) {
+  return toMajor(amount, orderPricing(order).currency);
+}
+
+function fromGatewayAmount(order, amount) {
+  return amount == null ? null : toMinor(amount, orderPricing(order).currency);
+}
+
+// Витрина, покупатель и бот получают суммы в целых единицах валюты, как до перехода
+// на минорные; точная сумма — в поле с суффиксом _minor
+function publicAmounts(amounts, currency) {
+  const result = {};
+  
+  for (const [field, amount] of Object.entries(amounts)) {
+    result[field] = amount == null ? null : toMajor(amount, currency);
+    result[`${field}_minor`] = amount ?? null;
+  }
+  return result;
+}
+
+function publicLines(lines, currency) {
+  return lines.map(line => ({ ...line, ...publicAmounts({ price: line.price, total: line.total }, currency) }));
+}
+
+function paymentNotifyUrl(provider) {
+  return `${CONFIG.SERVER_URL}${paymentProviders.notifyPath(provider)}`;
+}
+
+function paymentNotConfigured(res) {
+  return res.status(500).json({ 
+    success: false,
+    error: "Payment system not configured" 
+  });
+}
+
+// =========== ПОЧТА ===========
+const mailer = createMailer({
+  transport: CONFIG.MAIL_TRANSPORT,
+  dir: CONFIG.MAIL_DIR,
+  smtp: {
+    host: CONFIG.SMTP_HOST,
+    port: CONFIG.SMTP_PORT,
+    secure: CONFIG.SMTP_SECURE,
+    user: CONFIG.SMTP_USER,
+    password: CONFIG.SMTP_PASSWORD
+  },
+  from: CONFIG.MAIL_FROM
+});
+
+// console и file не отправляют писем, а ссылки входа и подарков из них попадают в лог
+if (CONFIG.PRODUCTION && mailer.transport !== "smtp") {
+  throw new Error("MAIL_TRANSPORT=smtp is required in production");
+}
+
+// =========== ЗАЩИТА ДАННЫХ ===========
+// Код (и email при ENCRYPT_EMAILS) хранятся зашифрованными; в ответах
+// и логах они маскируются, открытыми их видят только бот и выгрузка с include_sensitive
+// (scope orders:sensitive, каждая такая выгрузка пишется в access_audit).
+const fieldCipher = createFieldCipher(parseKeyRing(CONFIG.FIELD_ENCRYPTION_KEYS), {
+  onPlaintext: () => console.warn('⚠️ ВНИМАНИЕ: FIELD_ENCRYPTION_KEYS не задан — данные покупателя сохранены в базе открытыми')
+});
+
+if (CONFIG.PRODUCTION && !fieldCipher.enabled) {
+  throw new Error("FIELD_ENCRYPTION_KEYS is required in production");
+}
+
+if (CONFIG.PRODUCTION && !CONFIG.EMAIL_HASH_KEY) {
+  throw new Error("EMAIL_HASH_KEY is required in production");
+}
+
+const EMAIL_FIELDS = ["email", "contact_email", "promo_email", "gift_email"];
+
+function decryptField(value) {
+  try {
+    return fieldCipher.decrypt(value) ?? null;
+  } catch (error) {
+    console.error(`❌ Не удалось расшифровать поле: ${error.message}`);
+    return null;
+  }
+}
+
+function encryptEmail(email) {
+  return CONFIG.ENCRYPT_EMAILS ? fieldCipher.encrypt(email) : email;
+}
+
+function orderEmail(order) {
+  return decryptField(order.email);
+}
+
+function orderCode(order) {
+  return decryptField(order.code);
+}
+
+// Email там, где его нужно только сравнивать (журнал промокодов), хранится как HMAC
+function emailHash(email) {
+  return crypto.createHmac("sha256", CONFIG.EMAIL_HASH_KEY).update(normalizeEmail(email), "utf8").digest("hex");
+}
+
+// =========== СОБЫТИЯ ЗАКАЗОВ ===========
+// Изменения заказов публикуются в шину и расходятся по SSE-потокам:
+// покупателю — события его заказа, админке — все.
+const orderEvents = createEventBus({ bufferSize: CONFIG.SSE_BUFFER_SIZE });
+
+// Данные события без email и кода, поэтому годятся и для покупателя
+function orderEventData(order) {
+  const last = order.history?.at(-1);
+  
+  return {
+    order_id: order.id,
+    status: getOrderStatus(order),
+    payment_status: order.payment_status || null,
+    ...publicAmounts({ amount: order.amount || 0, refunded_amount: order.refunded_amount || 0 }, orderPricing(order).currency),
+    currency: orderPricing(order).currency,
+    actor: last?.actor || null,
+    comment: last?.comment || null,
+    updated_at: order.updated_at || order.created_at
+  };
+}
+
+// type: created | status | refund
+function publishOrderEvent(type, order, extra = {}) {
+  orderEvents.publish(type, { ...orderEventData(order), ...extra });
+}
 
 // =========== ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ ===========
-function calculateOrderTotal(cart) {
-  let total = 0;
-  if (!cart || typeof cart !== 'object') return total;
+// Сумма заказа с учетом промокода в минорных единицах валюты заказа: { subtotal, discount, total }
+function calculateOrderTotal(cart, products, promo = null, pricing = BASE_PRICING) {
+  let subtotal = 0;
+  if (!cart || typeof cart !== 'object') return { subtotal, discount: 0, total: 0 };
   
   for (const [itemId, quantity] of Object.entries(cart)) {
-    const product = db.data.products.find(p => p.id === itemId);
+    const product = products.find(p => p.id === itemId);
     if (product) {
-      total += product.price * quantity;
+      subtotal += (productPrice(product, pricing) ?? 0) * quantity;
     }
   }
-  return total;
+  
+  const discount = promo ? calculateDiscount(promo, cart, products, pricing) : 0;
+  return { subtotal, discount, total: subtotal - discount };
+}
+
+// Строки корзины с названиями и ценами; сохраняются в заказе на момент оплаты
+function cartLines(cart, products, pricing = BASE_PRICING, lang = null) {
+  return Object.entries(cart || {}).map(([itemId, quantity]) => {
+    const product = products.find(p => p.id === itemId);
+    const price = product ? productPrice(product, pricing) : null;
+    
+    return {
+      product_id: itemId,
+      name: product ? localizeProduct(product, lang).name : null,
+      price,
+      quantity,
+      total: price === null ? null : price * quantity
+    };
+  });
+}
+
+async function seedTestProducts() {
+  if (!CONFIG.CREATE_TEST_PRODUCTS) return;
+  
+  const products = await storage.products.list();
+  if (products.length > 0) return;
+  
+  const testProducts = [
+    { id: "c30", name: "30 кристаллов", translations: { en: { name: "30 crystals" } }, prices: { RUB: 20000, USD: 249 }, img: "https://i.imgur.com/s4K0WIP.png", gift: false },
+    { id: "c80", name: "80 кристаллов", translations: { en: { name: "80 crystals" } }, prices: { RUB: 55000, USD: 649 }, img: "https://i.imgur.com/XbnZKDb.png", gift: false }
+  ];
+  
+  for (const product of testProducts) {
+    await storage.products.insert(product);
+  }
+  console.log("✅ Созданы тестовые товары");
+}
+
+// Email сравниваются без учета регистра и пробелов по краям
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+// Токен доступа к заказу: выдается клиенту при создании платежа,
+// в базе хранится только его хеш
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token, "utf8").digest("hex");
+}
+
+function tokenMatches(hash, token) {
+  if (!token || typeof token !== 'string' || !hash) return false;
+  
+  const expected = Buffer.from(hash, 'hex');
+  const received = Buffer.from(hashToken(token), 'hex');
+  return crypto.timingSafeEqual(expected, received);
+}
+
+// Токен — в заголовке x-order-token или в теле запроса. Из query (?token=) он попадает
+// в логи прокси, поэтому там принимается только потоком SSE (allowQuery)
+function requestOrderToken(req, { allowQuery = false } = {}) {
+  return req.headers['x-order-token'] || req.body?.token || (allowQuery ? req.query.token : undefined);
+}
+
+// Статус заказа видят и покупатель, и получатель подарка (по токену из ссылки)
+function hasOrderAccess(order, req, options) {
+  const token = requestOrderToken(req, options);
+  return tokenMatches(order.access_token_hash, token) || tokenMatches(order.gift?.token_hash, token);
+}
+
+// Email и код подарка вводит только получатель
+function canSubmitOrderData(order, req) {
+  if (!order.gift) return hasOrderAccess(order, req);
+  return tokenMatches(order.gift.token_hash, requestOrderToken(req));
+}
+
+// Засчитывает отправку email/кода по заказу; при превышении лимита отвечает 429
+async function orderSubmitsLimited(res, orderId) {
+  const { limited, retryAfter } = await rateLimiters.orderSubmits.hit(orderId);
+  if (!limited) return false;
+  
+  console.warn(`🚦 order-submits: лимит превышен для ${orderId}`);
+  tooManyRequests(res, retryAfter);
+  return true;
+}
+
+function orderAccessDenied(res) {
+  return res.status(403).json({ 
+    success: false, 
+    error: "Нет доступа к заказу" 
+  });
+}
+
+function orderNotPaid(res) {
+  return res.status(409).json({ 
+    success: false, 
+    error: "Заказ не оплачен" 
+  });
+}
+
+// Журнал отклоненных вебхуков
+async function auditRejectedWebhook(req, reason) {
+  try {
+    await storage.webhookAudit.append({
+      reason,
+      order_id: req.body?.order_id || null,
+      ip: req.ip,
+      payload: req.body,
+      received_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Ошибка записи аудита:', error.message);
+  }
+  
+  console.warn(`🚫 Вебхук отклонен (${reason}): ${req.body?.order_id || '-'}`);
+}
+
+// Уведомления боту идут через очередь в базе: если бот недоступен,
+// воркер повторит доставку с экспоненциальной задержкой
+const botOutbox = createOutbox({
+  name: "bot-outbox",
+  store: storage.botOutbox,
+  deliver: deliverBotNotification,
+  maxAttempts: CONFIG.BOT_MAX_ATTEMPTS,
+  baseDelayMs: CONFIG.OUTBOX_BASE_DELAY_MS
+});
+
+async function deliverBotNotification(entry) {
+  const body = JSON.stringify({
+    ...entry.payload,
+    email: decryptField(entry.payload.email),
+    code: decryptField(entry.payload.code),
+    gift: entry.payload.gift ? { ...entry.payload.gift, recipient_email: decryptField(entry.payload.gift.recipient_email) } : null,
+    idempotency_key: entry.id,
+    timestamp: new Date().toISOString()
+  });
+  
+  // Тело отправляется строкой, чтобы подпись совпала с байтами запроса
+  await axios.post(`${CONFIG.BOT_URL}/api/order-notify`, body, {
+    timeout: 10000,
+    headers: {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': entry.id,
+      ...signatureHeaders("POST", "/api/order-notify", body)
+    }
+  });
+  
+  console.log(`✅ Уведомление отправлено: ${entry.payload.order_id}`);
 }
 
+// Возвращает true, если бот получил уведомление сразу; иначе оно останется в очереди
 async function notifyBot(orderData) {
   try {
     if (!CONFIG.BOT_URL || !CONFIG.API_SECRET) {
@@ -75,154 +550,3766 @@ async function notifyBot(orderData) {
       return false;
     }
     
-    const requestData = {
+    const currency = orderData.currency || BASE_CURRENCY;
+    const { refund } = orderData;
+    
+    // Код и email лежат в очереди зашифрованными и расшифровываются перед отправкой
+    return await botOutbox.enqueue({
       order_id: orderData.order_id,
-      email: orderData.email,
+      email: encryptEmail(orderData.email),
       items: orderData.cart || orderData.items || {},
-      amount: orderData.amount || 0,
-      code: orderData.code || null,
+      ...publicAmounts({ amount: orderData.amount || 0 }, currency),
+      currency,
+      code: fieldCipher.encrypt(orderData.code || null),
       stage: orderData.stage || 'email_submitted',
-      secret: CONFIG.API_SECRET,
-      timestamp: new Date().toISOString()
-    };
-    
-    const response = await axios.post(`${CONFIG.BOT_URL}/api/order-notify`, requestData, {
-      timeout: 10000,
-      headers: { 'Content-Type': 'application/json' }
+      refund: refund ? { ...refund, ...publicAmounts({ amount: refund.amount }, currency) } : null,
+      gift: orderData.gift ? { ...orderData.gift, recipient_email: encryptEmail(orderData.gift.recipient_email) } : null
     });
-    
-    if (response.status >= 200 && response.status < 300) {
-      console.log(`✅ Уведомление отправлено: ${orderData.order_id}`);
-      return true;
-    }
-    
-    return false;
   } catch (error) {
     console.error('❌ Ошибка уведомления:', error.message);
     return false;
   }
 }
 
-// =========== ВАЛИДАЦИЯ API ===========
-const verifyApiSecret = (req, res, next) => {
-  const clientSecret = req.headers['x-api-secret'] || req.query.secret || req.body.secret;
-  
-  if (!clientSecret || clientSecret !== CONFIG.API_SECRET) {
-    console.warn(`🚫 Неавторизованный доступ: ${req.path}`);
-    return res.status(403).json({ 
-      success: false,
-      error: "Invalid API secret" 
-    });
+// Письма покупателю о ходе заказа тоже идут через очередь:
+// сбой почты не ломает запрос, письмо уйдет повторной попыткой
+const emailOutbox = createOutbox({
+  name: "email-outbox",
+  store: storage.emailOutbox,
+  deliver: deliverCustomerEmail,
+  maxAttempts: CONFIG.MAIL_MAX_ATTEMPTS,
+  baseDelayMs: CONFIG.OUTBOX_BASE_DELAY_MS
+});
+
+// Письма со ссылкой-ключом: по ссылке входят в историю заказов или забирают подарок.
+// Текст таких писем хранится в очереди зашифрованным и не показывается в админке.
+const SECRET_LINK_TEMPLATES = ["magic_link", "gift_received"];
+
+function enqueueEmail(payload, options) {
+  if (!SECRET_LINK_TEMPLATES.includes(payload.template)) {
+    return emailOutbox.enqueue(payload, options);
   }
-  next();
-};
+  
+  return emailOutbox.enqueue({
+    ...payload,
+    text: fieldCipher.encrypt(payload.text),
+    html: fieldCipher.encrypt(payload.html)
+  }, options);
+}
 
-// =========== ЭНДПОИНТЫ ДЛЯ ФРОНТЕНДА ===========
+async function deliverCustomerEmail(entry) {
+  const { to, subject } = entry.payload;
+  const text = decryptField(entry.payload.text);
+  const html = decryptField(entry.payload.html);
+  
+  await mailer.send({ to, subject, text, html });
+  console.log(`✉️ Письмо ${entry.payload.template} отправлено: ${entry.payload.order_id || maskEmail(to)}`);
+}
 
-// 1. Проверка статуса заказа (GET)
-app.get("/api/order-status/:order_id", async (req, res) => {
+// Email из заказа, а до его ввода — указанный при оплате
+function orderContactEmail(order) {
+  return orderEmail(order) || decryptField(order.contact_email);
+}
+
+// Ставит письмо по шаблону в очередь; extra — данные шаблона сверх заказа,
+// to — адрес, если письмо не покупателю. Без адреса письмо не отправляется.
+async function notifyCustomer(order, template, extra = {}, to = orderContactEmail(order)) {
   try {
-    const { order_id } = req.params;
-    
-    await db.read();
-    const order = db.data.orders.find(o => o.id === order_id);
+    if (!to) return false;
     
-    if (!order) {
-      return res.json({ 
-        success: true, 
-        exists: false,
-        message: 'Заказ не найден' 
-      });
-    }
-    
-    res.json({
-      success: true,
-      exists: true,
-      order_id,
-      email: order.email,
-      code: order.code,
-      status: order.status || 'unknown',
+    const { currency } = orderPricing(order);
+    const message = renderEmail(template, order.lang, {
+      order_id: order.id,
       amount: order.amount || 0,
-      created_at: order.created_at,
-      updated_at: order.updated_at || order.created_at
-    });
+      currency,
+      items: formatOrderItems(order.lines, currency, order.lang),
+      admin_comment: order.admin_comment || null,
+      history_url: CONFIG.CUSTOMER_LOGIN_URL,
+      ...extra
+    }, CONFIG.MAIL_DEFAULT_LANG);
     
+    return await enqueueEmail({ order_id: order.id, template, to, ...message });
   } catch (error) {
-    console.error("❌ Ошибка проверки статуса:", error);
-    res.status(500).json({ 
+    console.error('❌ Ошибка постановки письма в очередь:', error.message);
+    return false;
+  }
+}
+
+// =========== СТАТУСЫ ЗАКАЗОВ ===========
+// created → paid → awaiting_email → awaiting_code → in_progress → completed / rejected / refunded / expired
+const ORDER_TRANSITIONS = {
+  created: ["paid", "rejected", "expired"],
+  paid: ["awaiting_email", "rejected", "refunded"],
+  awaiting_email: ["awaiting_code", "rejected", "refunded", "expired"],
+  awaiting_code: ["awaiting_code", "in_progress", "rejected", "refunded", "expired"],
+  in_progress: ["awaiting_code", "completed", "rejected", "refunded"],
+  completed: ["refunded"],
+  rejected: ["refunded"],
+  refunded: [],
+  expired: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Статусы, сохраненные до появления жизненного цикла
+const LEGACY_STATUSES = {
+  pending_email: "awaiting_code",
+  pending_code: "in_progress"
+};
+
+function getOrderStatus(order) {
+  return LEGACY_STATUSES[order.status] || order.status || "created";
+}
+
+function canTransition(order, to) {
+  const allowed = ORDER_TRANSITIONS[getOrderStatus(order)] || [];
+  return allowed.includes(to);
+}
+
+// После этих статусов код больше не нужен боту
+const CODE_WIPE_STATUSES = ["completed", "rejected", "refunded", "expired"];
+
+function wipeOrderCode(order, now = new Date().toISOString()) {
+  if (!order.code) return false;
+  
+  order.code = null;
+  order.code_wiped_at = now;
+  return true;
+}
+
+// Меняет статус и дописывает запись в историю заказа.
+// Вызывающий код должен заранее проверить canTransition.
+function transitionOrder(order, to, actor, comment = null) {
+  const now = new Date().toISOString();
+  
+  order.history ||= [];
+  order.history.push({
+    from: order.status ? getOrderStatus(order) : null,
+    to,
+    actor,
+    comment,
+    at: now
+  });
+  
+  order.status = to;
+  order.updated_at = now;
+  
+  if (to === "completed") {
+    order.completed_at = now;
+  } else if (to === "rejected") {
+    order.rejected_at = now;
+  } else if (to === "refunded") {
+    order.refunded_at = now;
+  }
+  
+  if (CODE_WIPE_STATUSES.includes(to)) {
+    wipeOrderCode(order, now);
+  }
+}
+
+function transitionError(res, order, to) {
+  return res.status(409).json({ 
+    success: false,
+    error: `Invalid status transition: ${getOrderStatus(order)} → ${to}`,
+    status: getOrderStatus(order)
+  });
+}
+
+// =========== ВОЗВРАТЫ ===========
+// Возврат создается в статусе pending и резервирует сумму; итог приходит
+// вебхуком провайдера с refund_id: succeeded или failed.
+// Когда возвращена вся сумма заказа, заказ переходит в refunded.
+
+const REFUND_FINAL_STATUSES = ["succeeded", "failed"];
+
+// Сумма, которую еще можно вернуть: ожидающие возвраты тоже ее уменьшают
+function refundableAmount(order) {
+  const reserved = (order.refunds || [])
+    .filter(refund => refund.status !== "failed")
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  
+  return Math.max(0, (order.amount || 0) - reserved);
+}
+
+function refundedAmount(order) {
+  return (order.refunds || [])
+    .filter(refund => refund.status === "succeeded")
+    .reduce((sum, refund) => sum + refund.amount, 0);
+}
+
+// Записывает итог возврата. Возвращает true, если итог записан, и false, если возврат
+// не найден или уже завершен — внутри storage.orders.update false отменяет изменение.
+function applyRefundResult(order, refundId, succeeded, error = null) {
+  const refund = (order.refunds || []).find(r => r.id === refundId);
+  if (!refund || REFUND_FINAL_STATUSES.includes(refund.status)) return false;
+  
+  refund.status = succeeded ? "succeeded" : "failed";
+  refund.completed_at = new Date().toISOString();
+  refund.error = error;
+  
+  order.refunded_amount = refundedAmount(order);
+  order.updated_at = refund.completed_at;
+  
+  if (succeeded && order.refunded_amount >= order.amount && canTransition(order, "refunded")) {
+    transitionOrder(order, "refunded", "gateway", refund.reason);
+  }
+  return true;
+}
+
+// Вебхук с итогом возврата (event.type === "refund")
+async function handleRefundWebhook(req, res, order, event) {
+  const { refund_id, status, amount } = event;
+  const refund = (order.refunds || []).find(r => r.id === refund_id);
+  
+  if (!refund) {
+    await auditRejectedWebhook(req, "refund_not_found");
+    return res.status(404).json({ 
       success: false,
-      error: "Server error" 
+      error: "Refund not found" 
     });
   }
-});
+  
+  if (fromGatewayAmount(order, amount) !== refund.amount) {
+    await auditRejectedWebhook(req, "amount_mismatch");
+    return res.status(400).json({ 
+      success: false,
+      error: "Amount mismatch" 
+    });
+  }
+  
+  // Промежуточные статусы шлюза: ждем итогового уведомления
+  if (status === 'pending') {
+    return res.status(200).json({ success: true });
+  }
+  
+  const succeeded = status === 'success';
+  const updated = await storage.orders.update(order.id, (draft) => {
+    return applyRefundResult(draft, refund_id, succeeded, succeeded ? null : status);
+  });
+  
+  if (!updated) {
+    await auditRejectedWebhook(req, "replayed");
+    return res.status(200).json({ success: true, duplicate: true });
+  }
+  
+  const result = updated.refunds.find(r => r.id === refund_id);
+  console.log(`💸 Возврат ${refund_id} (${formatMoney(result.amount, orderPricing(updated).currency)}): ${succeeded ? '✅ выполнен' : '❌ не выполнен'}`);
+  publishOrderEvent("refund", updated, { refund: result });
+  
+  await notifyBot({
+    order_id: order.id,
+    email: orderEmail(updated),
+    cart: updated.cart,
+    amount: updated.amount,
+    currency: updated.currency,
+    refund: result,
+    gift: giftInfo(updated),
+    stage: succeeded ? "refund_succeeded" : "refund_failed"
+  });
+  
+  if (succeeded) {
+    await notifyCustomer(updated, "refunded", {
+      refund_amount: result.amount,
+      full: getOrderStatus(updated) === "refunded"
+    });
+  }
+  
+  res.status(200).json({ success: true });
+}
 
-// 2. Отправка email (POST)
-app.post("/submit-email", async (req, res) => {
-  try {
-    const { order_id, email, cart } = req.body;
+// =========== СВЕРКА ПЛАТЕЖЕЙ ===========
+
+// Записывает статус оплаты (из вебхука или сверки) и при успехе списывает остатки
+// и промокод. Возвращает null, если этот статус уже был записан.
+async function applyPaymentStatus(order, status, actor) {
+  const isReplay = (o) => o.payment_status === 'success' || o.payment_status === status;
+  if (isReplay(order)) return null;
+  
+  const updated = await storage.orders.update(order.id, (draft) => {
+    if (isReplay(draft)) return false;
     
-    console.log(`📧 Получен email для заказа ${order_id}: ${email}`);
+    draft.payment_status = status;
+    draft.updated_at = new Date().toISOString();
     
-    if (!order_id || !email || !cart) {
-      return res.status(400).json({ 
-        success: false, 
-        error: "Не все поля заполнены" 
-      });
+    if (status === 'success') {
+      draft.paid_at = new Date().toISOString();
+      
+      if (canTransition(draft, "paid")) {
+        transitionOrder(draft, "paid", actor);
+        transitionOrder(draft, "awaiting_email", "system");
+      } else {
+        console.warn(`⚠️ Оплата получена для заказа ${order.id} в статусе ${getOrderStatus(draft)}`);
+      }
     }
+  });
+  
+  if (updated) {
+    publishOrderEvent("status", updated);
+  }
+  
+  if (updated && status === 'success') {
+    await decrementStock(updated.cart);
     
-    await db.read();
-    
-    const amount = calculateOrderTotal(cart);
+    if (updated.promo_code) {
+      await redeemPromoCode(updated);
+    }
     
-    let orderIndex = db.data.orders.findIndex(o => o.id === order_id);
+    if (getOrderStatus(updated) === "awaiting_email" && updated.gift) {
+      const sent = await sendGift(updated) || updated;
+      await notifyCustomer(sent, "gift_sent", { recipient_email: orderGiftEmail(sent), expires_at: sent.gift.expires_at });
+    } else if (getOrderStatus(updated) === "awaiting_email") {
+      await notifyCustomer(updated, "payment_received");
+    }
+  }
+  
+  return updated;
+}
+
+// Проверяет один заказ в created; возвращает расхождение или null
+async function reconcileOrder(order, now) {
+  const provider = orderPaymentProvider(order);
+  const age = now - new Date(order.created_at).getTime();
+  const discrepancy = (type, extra = {}) => ({ order_id: order.id, type, amount: order.amount, currency: orderPricing(order).currency, ...extra });
+  
+  if (!provider?.configured) {
+    return discrepancy("provider_unavailable", { provider: order.payment_provider || "bilee", fixed: false });
+  }
+  
+  let gateway;
+  try {
+    gateway = await provider.getPaymentStatus(order.id);
+  } catch (error) {
+    return discrepancy("status_check_failed", { error: error.message, fixed: false });
+  }
+  
+  if (gateway.status === 'success') {
+    const gatewayAmount = fromGatewayAmount(order, gateway.amount);
     
-    if (orderIndex === -1) {
-      const newOrder = {
-        id: order_id,
-        email: email,
-        cart: cart,
-        amount: amount,
-        status: "pending_email",
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-      
-      db.data.orders.push(newOrder);
-      orderIndex = db.data.orders.length - 1;
-    } else {
-      db.data.orders[orderIndex].email = email;
-      db.data.orders[orderIndex].cart = cart;
-      db.data.orders[orderIndex].amount = amount;
-      db.data.orders[orderIndex].status = "pending_email";
-      db.data.orders[orderIndex].updated_at = new Date().toISOString();
+    if (gatewayAmount !== Number(order.amount)) {
+      return discrepancy("amount_mismatch", { gateway_amount: gatewayAmount, fixed: false });
     }
     
-    await db.write();
+    const updated = await applyPaymentStatus(order, "success", "reconciler");
+    return discrepancy("paid_without_webhook", { fixed: !!updated });
+  }
+  
+  if (gateway.status !== 'pending' && gateway.status !== 'not_found' && gateway.status !== order.payment_status) {
+    await applyPaymentStatus(order, gateway.status, "reconciler");
+  }
+  
+  // Брошенный заказ: за ORDER_TTL_MS оплата так и не прошла
+  if (age >= CONFIG.ORDER_TTL_MS) {
+    const expired = await storage.orders.update(order.id, (draft) => {
+      if (!canTransition(draft, "expired") || draft.payment_status === 'success') return false;
+      transitionOrder(draft, "expired", "reconciler", `Not paid in time (gateway: ${gateway.status})`);
+    });
     
-    console.log(`✅ Email сохранен для заказа ${order_id}`);
+    if (expired) {
+      publishOrderEvent("status", expired);
+      return discrepancy("expired", { gateway_status: gateway.status, fixed: true });
+    }
+  }
+  
+  return null;
+}
+
+let reconcileRunning = false;
+
+// Один проход сверки; отчет сохраняется для админки
+async function reconcilePayments(trigger = "schedule") {
+  if (reconcileRunning) return null;
+  reconcileRunning = true;
+  
+  try {
+    const startedAt = new Date();
+    const now = startedAt.getTime();
+    
+    const stuck = (await storage.orders.list()).filter(order =>
+      getOrderStatus(order) === "created" &&
+      order.payment_status !== 'success' &&
+      now - new Date(order.created_at).getTime() >= CONFIG.RECONCILE_AFTER_MS
+    );
+    
+    const results = [];
+    for (const order of stuck) {
+      const result = await reconcileOrder(order, now);
+      if (result) results.push(result);
+    }
+    
+    // Оплата пришла, когда заказ уже истек: деньги нужно вернуть вручную.
+    // Попадает в отчет один раз
+    const paidLate = (order) => getOrderStatus(order) === "expired" && order.payment_status === 'success' && !order.paid_after_expiry_reported_at;
+    
+    for (const order of (await storage.orders.list()).filter(paidLate)) {
+      const flagged = await storage.orders.update(order.id, (draft) => {
+        if (!paidLate(draft)) return false;
+        draft.paid_after_expiry_reported_at = new Date().toISOString();
+      });
+      
+      if (flagged) {
+        results.push({ order_id: order.id, type: "paid_after_expiry", amount: order.amount, currency: orderPricing(order).currency, fixed: false });
+      }
+    }
+    
+    const report = {
+      id: crypto.randomUUID(),
+      trigger,
+      started_at: startedAt.toISOString(),
+      finished_at: new Date().toISOString(),
+      checked: stuck.length,
+      paid: results.filter(r => r.type === "paid_without_webhook" && r.fixed).length,
+      expired: results.filter(r => r.type === "expired").length,
+      expired_orders: results.filter(r => r.type === "expired").map(r => r.order_id),
+      discrepancies: results.filter(r => r.type !== "expired")
+    };
+    
+    await storage.reconciliationReports.insert(report);
+    
+    // Храним только последние отчеты
+    const reports = await storage.reconciliationReports.list();
+    for (const old of reports.slice(0, Math.max(0, reports.length - CONFIG.RECONCILE_REPORTS_KEEP))) {
+      await storage.reconciliationReports.remove(old.id);
+    }
+    
+    if (report.checked > 0) {
+      console.log(`🧮 Сверка: проверено ${report.checked}, оплачено ${report.paid}, истекло ${report.expired}, расхождений ${report.discrepancies.length}`);
+    }
+    return report;
+  } finally {
+    reconcileRunning = false;
+  }
+}
+
+// =========== ПОИСК ЗАКАЗОВ ===========
+
+// Заказы в разных валютах сравниваются по сумме в основной валюте
+const ORDER_SORT_FIELDS = {
+  created_at: (order) => new Date(order.created_at).getTime() || 0,
+  updated_at: (order) => new Date(order.updated_at || order.created_at).getTime() || 0,
+  amount: (order) => orderBaseAmount(order, "amount")
+};
+
+// Курсор — позиция последнего заказа страницы в выбранной сортировке
+function encodeCursor(sort, order, value, id) {
+  return Buffer.from(JSON.stringify({ sort, order, value, id })).toString("base64url");
+}
+
+function decodeCursor(cursor, sort, order) {
+  try {
+    const data = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (data.sort !== sort || data.order !== order || typeof data.value !== 'number' || typeof data.id !== 'string') return null;
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+// Дата без времени в created_to включает весь день
+function parseDateBound(value, endOfDay = false) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+// Фильтры поиска из query: общие для списка заказов и выгрузки
+function orderFilters(query) {
+  const { status, payment_status, email, q, product_id, amount_min, amount_max, created_from, created_to, gift, gift_status } = query;
+  
+  return {
+    statuses: status ? status.split(",").map(s => s.trim()) : null,
+    payment_status,
+    gift,
+    gift_status,
+    email,
+    q,
+    product_id,
+    amount_min,
+    amount_max,
+    createdFrom: parseDateBound(created_from),
+    createdTo: parseDateBound(created_to, true)
+  };
+}
+
+function orderMatches(order, filters) {
+  const { statuses, payment_status, gift, gift_status, email, q, product_id, amount_min, amount_max, createdFrom, createdTo } = filters;
+  const created = new Date(order.created_at).getTime();
+  const amount = orderBaseAmount(order, "amount");
+  
+  if (statuses && !statuses.includes(getOrderStatus(order))) return false;
+  if (payment_status && order.payment_status !== payment_status) return false;
+  if (gift !== undefined && !!order.gift !== gift) return false;
+  if (gift_status && (!order.gift || giftStatus(order) !== gift_status)) return false;
+  if (email && (orderEmail(order) || "").toLowerCase() !== email.toLowerCase()) return false;
+  if (product_id && !(order.cart && product_id in order.cart)) return false;
+  if (amount_min !== undefined && amount < amount_min) return false;
+  if (amount_max !== undefined && amount > amount_max) return false;
+  if (createdFrom !== null && created < createdFrom) return false;
+  if (createdTo !== null && created > createdTo) return false;
+  
+  if (q) {
+    const needle = q.toLowerCase();
+    if (!order.id.toLowerCase().includes(needle) && !(orderEmail(order) || "").toLowerCase().includes(needle)) return false;
+  }
+  
+  return true;
+}
+
+// Полный заказ для админки: строки корзины, оплата, возвраты, история.
+// Код открыт только при includeSensitive (выгрузка для бота), иначе замаскирован.
+function formatAdminOrder(order, products, { includeSensitive = false } = {}) {
+  return {
+    id: order.id,
+    status: getOrderStatus(order),
+    email: orderEmail(order),
+    code: includeSensitive ? orderCode(order) : maskSecret(order.code),
+    code_wiped_at: order.code_wiped_at || null,
+    anonymized_at: order.anonymized_at || null,
+    amount: order.amount || 0,
+    subtotal: order.subtotal ?? order.amount ?? 0,
+    discount: order.discount || 0,
+    currency: orderPricing(order).currency,
+    exchange_rate: orderPricing(order).rate,
+    promo_code: order.promo_code || null,
+    gift: giftInfo(order),
+    lines: order.lines || cartLines(order.cart, products, orderPricing(order)),
+    payment: {
+      provider: order.payment_provider || "bilee",
+      status: order.payment_status || null,
+      paid_at: order.paid_at || null
+    },
+    refunded_amount: order.refunded_amount || 0,
+    refunds: order.refunds || [],
+    admin_comment: order.admin_comment,
+    history: order.history || [],
+    created_at: order.created_at,
+    updated_at: order.updated_at || order.created_at,
+    completed_at: order.completed_at || null,
+    rejected_at: order.rejected_at || null,
+    refunded_at: order.refunded_at || null
+  };
+}
+
+// =========== АНАЛИТИКА ===========
+// Отчеты считаются по заказам за период: воронка, статусы и выполнение — по created_at,
+// выручка и товары — по оплаченным заказам и paid_at. Все даты в UTC.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 3660;
+
+// Путь заказа до выполнения; статус засчитывается, если заказ его прошел
+const ORDER_PIPELINE = ["created", "paid", "awaiting_email", "awaiting_code", "in_progress", "completed"];
+
+const FUNNEL_STEPS = [
+  ["created", "created"],
+  ["paid", "paid"],
+  ["email_submitted", "awaiting_code"],
+  ["code_submitted", "in_progress"],
+  ["completed", "completed"]
+];
+
+// { from, to } в мс; по умолчанию — последние 30 дней
+function analyticsRange(query) {
+  const to = parseDateBound(query.to, true) ?? Date.now();
+  const from = parseDateBound(query.from) ?? to - ANALYTICS_DEFAULT_DAYS * DAY_MS;
+  return { from, to };
+}
+
+function inRange(date, range) {
+  const time = new Date(date).getTime();
+  return time >= range.from && time <= range.to;
+}
+
+function reachedStatus(order, status) {
+  if ((order.history || []).some(entry => entry.to === status)) return true;
+  if (status === "paid" && order.payment_status === 'success') return true;
+  
+  const target = ORDER_PIPELINE.indexOf(status);
+  if (target === -1) return getOrderStatus(order) === status;
+  
+  return ORDER_PIPELINE.indexOf(getOrderStatus(order)) >= target;
+}
+
+function periodKey(time, period) {
+  const date = new Date(time);
+  
+  if (period === "month") return date.toISOString().slice(0, 7);
+  if (period === "week") {
+    // Неделя обозначается датой ее понедельника
+    const monday = time - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+    return new Date(monday).toISOString().slice(0, 10);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+const rate = (part, total) => total > 0 ? Math.round((part / total) * 10000) / 100 : 0;
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+// Выручка по дням/неделям/месяцам в основной валюте; пустые периоды тоже попадают в отчет
+function revenueReport(orders, range, period) {
+  const buckets = new Map();
+  
+  for (let time = range.from; time <= range.to; time += DAY_MS) {
+    buckets.set(periodKey(time, period), { period: periodKey(time, period), orders: 0, gross: 0, discounts: 0, refunds: 0, net: 0 });
+  }
+  
+  for (const order of orders) {
+    if (order.payment_status !== 'success' || !order.paid_at || !inRange(order.paid_at, range)) continue;
+    
+    const bucket = buckets.get(periodKey(new Date(order.paid_at).getTime(), period));
+    if (!bucket) continue;
+    
+    bucket.orders++;
+    bucket.gross += orderBaseAmount(order, "amount");
+    bucket.discounts += orderBaseAmount(order, "discount");
+    bucket.refunds += orderBaseAmount(order, "refunded_amount");
+    bucket.net = bucket.gross - bucket.refunds;
+  }
+  
+  const rows = [...buckets.values()];
+  const totals = rows.reduce((sum, row) => ({
+    orders: sum.orders + row.orders,
+    gross: sum.gross + row.gross,
+    discounts: sum.discounts + row.discounts,
+    refunds: sum.refunds + row.refunds,
+    net: sum.net + row.net
+  }), { orders: 0, gross: 0, discounts: 0, refunds: 0, net: 0 });
+  
+  return { rows, totals };
+}
+
+// Статусы, воронка, время выполнения и доля отказов
+function ordersReport(orders, range) {
+  const created = orders.filter(order => inRange(order.created_at, range));
+  
+  const statuses = Object.fromEntries(ORDER_STATUSES.map(status => [status, 0]));
+  for (const order of created) {
+    const status = getOrderStatus(order);
+    statuses[status] = (statuses[status] || 0) + 1;
+  }
+  
+  const funnel = FUNNEL_STEPS.map(([step, status]) => ({
+    step,
+    count: created.filter(order => reachedStatus(order, status)).length
+  })).map((entry, index, steps) => ({
+    step: entry.step,
+    count: entry.count,
+    rate_from_previous: index === 0 ? 100 : rate(entry.count, steps[index - 1].count),
+    rate_from_created: rate(entry.count, steps[0].count)
+  }));
+  
+  const durations = created
+    .filter(order => order.paid_at && order.completed_at)
+    .map(order => (new Date(order.completed_at) - new Date(order.paid_at)) / 1000)
+    .filter(seconds => seconds >= 0)
+    .sort((a, b) => a - b);
+  
+  const completed = statuses.completed || 0;
+  const rejected = created.filter(order => reachedStatus(order, "rejected")).length;
+  const paid = funnel[1].count;
+  const refunded = created.filter(order => getOrderStatus(order) === "refunded").length;
+  
+  return {
+    total: created.length,
+    statuses,
+    funnel,
+    fulfillment: {
+      count: durations.length,
+      avg_seconds: durations.length ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length) : null,
+      median_seconds: percentile(durations, 0.5),
+      p90_seconds: percentile(durations, 0.9)
+    },
+    rejections: {
+      rejected,
+      refunded,
+      // Доля отказов среди заказов с итогом и среди оплаченных
+      rejection_rate: rate(rejected, completed + rejected),
+      rejection_rate_of_paid: rate(rejected, paid),
+      refund_rate_of_paid: rate(refunded, paid)
+    }
+  };
+}
+
+// Топ товаров по оплаченным корзинам; цены — на момент заказа, до скидки, в основной валюте
+function productsReport(orders, products, range, by, limit) {
+  const stats = new Map();
+  
+  for (const order of orders) {
+    if (order.payment_status !== 'success' || !order.paid_at || !inRange(order.paid_at, range)) continue;
+    
+    const pricing = orderPricing(order);
+    
+    for (const line of order.lines || cartLines(order.cart, products, pricing)) {
+      const entry = stats.get(line.product_id) || {
+        product_id: line.product_id,
+        name: line.name ?? products.find(p => p.id === line.product_id)?.name ?? null,
+        quantity: 0,
+        revenue: 0,
+        orders: 0
+      };
+      
+      entry.quantity += line.quantity;
+      entry.revenue += toBase(line.total || 0, pricing);
+      entry.orders++;
+      stats.set(line.product_id, entry);
+    }
+  }
+  
+  return [...stats.values()]
+    .sort((a, b) => (b[by] - a[by]) || a.product_id.localeCompare(b.product_id))
+    .slice(0, limit);
+}
+
+// Проверяет период запроса; отвечает 400 и возвращает null, если он некорректен
+function analyticsRangeOrError(req, res) {
+  const range = analyticsRange(req.query);
+  
+  if (range.from > range.to || (range.to - range.from) / DAY_MS > ANALYTICS_MAX_DAYS) {
+    res.status(400).json({ 
+      success: false,
+      error: `from must be before to, range up to ${ANALYTICS_MAX_DAYS} days` 
+    });
+    return null;
+  }
+  return range;
+}
+
+const rangeInfo = (range) => ({
+  from: new Date(range.from).toISOString(),
+  to: new Date(range.to).toISOString()
+});
+
+// =========== ЭКСПОРТ И ИМПОРТ ===========
+// Код из заказа — чувствительные данные: в выгрузку попадает только с include_sensitive=true.
+// Хеш токена доступа не выгружается никогда.
+
+const ORDER_EXPORT_COLUMNS = [
+  "id", "status", "payment_status", "payment_provider", "email", "gift_status", "gift_email", "amount", "subtotal", "discount",
+  "currency", "exchange_rate", "promo_code", "refunded_amount", "items", "created_at", "paid_at", "completed_at", "rejected_at", "refunded_at"
+];
+
+const PRODUCT_EXPORT_COLUMNS = ["id", "name", "description", "image", "gift", "active", "category", "sort_order", "stock", "max_quantity"];
+
+// В CSV цены и переводы — отдельные колонки: price_RUB, price_USD, name_en, description_en
+const PRICE_COLUMN = /^price_([A-Z]{3})$/;
+const TRANSLATION_COLUMN = /^(name|description)_([a-z]{2})$/;
+
+const IMPORT_MAX_ROWS = 1000;
+
+// Без includeSensitive email покупателя и получателя подарка замаскированы, код скрыт
+function orderExportRow(order, products, includeSensitive) {
+  const full = formatAdminOrder(order, products, { includeSensitive });
+  
+  if (!includeSensitive) {
+    full.email = maskEmail(full.email);
+    if (full.gift) full.gift.recipient_email = maskEmail(full.gift.recipient_email);
+  }
+  
+  const row = {
+    id: full.id,
+    status: full.status,
+    payment_status: full.payment.status,
+    payment_provider: full.payment.provider,
+    email: full.email,
+    gift_status: full.gift?.status || null,
+    gift_email: full.gift?.recipient_email || null,
+    amount: full.amount,
+    subtotal: full.subtotal,
+    discount: full.discount,
+    currency: full.currency,
+    exchange_rate: full.exchange_rate,
+    promo_code: full.promo_code,
+    refunded_amount: full.refunded_amount,
+    items: full.lines.map(line => `${line.product_id}x${line.quantity}`).join(";"),
+    created_at: full.created_at,
+    paid_at: full.payment.paid_at,
+    completed_at: full.completed_at,
+    rejected_at: full.rejected_at,
+    refunded_at: full.refunded_at
+  };
+  
+  return { row, full: includeSensitive ? full : { ...full, code: undefined } };
+}
+
+function productExportRow(product) {
+  const { img, ...rest } = product;
+  return { ...rest, image: img };
+}
+
+function productCsvRow({ prices, translations, ...row }) {
+  for (const [currency, price] of Object.entries(prices || {})) {
+    row[`price_${currency}`] = price;
+  }
+  for (const [lang, texts] of Object.entries(translations || {})) {
+    row[`name_${lang}`] = texts.name;
+    row[`description_${lang}`] = texts.description;
+  }
+  return row;
+}
+
+// Колонки цен и переводов — только те, что есть у товаров
+function productCsvColumns(rows) {
+  const extra = new Set(rows.flatMap(row => Object.keys(row).filter(key => PRICE_COLUMN.test(key) || TRANSLATION_COLUMN.test(key))));
+  return [...PRODUCT_EXPORT_COLUMNS, ...[...extra].sort()];
+}
+
+// Пишет в ответ с учетом backpressure
+async function writeChunk(res, chunk) {
+  if (!res.write(chunk)) {
+    await once(res, "drain");
+  }
+}
+
+// Ячейки CSV приходят строками: пустая — поле не задано, "null" — явный null.
+// Колонки price_* и name_*/description_* собираются в prices и translations
+function normalizeImportRow(row) {
+  const input = {};
+  
+  for (const [key, value] of Object.entries(row)) {
+    if (value === "" || value === undefined) continue;
+    
+    const cell = value === "null" ? null : value;
+    const price = key.match(PRICE_COLUMN);
+    const translation = key.match(TRANSLATION_COLUMN);
+    
+    if (price) {
+      (input.prices ||= {})[price[1]] = cell;
+    } else if (translation) {
+      const [, field, lang] = translation;
+      input.translations ||= {};
+      input.translations[lang] = { ...input.translations[lang], [field]: cell };
+    } else {
+      input[key] = cell;
+    }
+  }
+  return input;
+}
+
+// Разбирает строки импорта и решает, что с каждой делать: create, update, unchanged или reject
+function planProductImport(rows, products) {
+  const existing = new Map(products.map(product => [product.id, product]));
+  const seen = new Set();
+  
+  return rows.map((row, index) => {
+    const input = row && typeof row === 'object' && !Array.isArray(row) ? row : {};
+    const id = typeof input.id === 'string' ? input.id : null;
+    const result = { row: index + 1, id };
+    
+    if (id && seen.has(id)) {
+      return { ...result, action: "reject", errors: [{ field: "id", message: "duplicate id in import" }] };
+    }
+    if (id) seen.add(id);
+    
+    const current = id ? existing.get(id) : null;
+    const { errors, fields } = parseProductFields(input, { partial: !!current });
+    
+    if (errors.length > 0) {
+      return { ...result, action: "reject", errors };
+    }
+    
+    if (!current) {
+      return { ...result, action: "create", fields };
+    }
+    
+    const next = applyProductFields(structuredClone(current), fields);
+    const changed = Object.keys(fields).filter(field => JSON.stringify(current[field]) !== JSON.stringify(next[field]));
+    return changed.length > 0
+      ? { ...result, action: "update", fields, changed }
+      : { ...result, action: "unchanged" };
+  });
+}
+
+// =========== ИСТОРИЯ ЗАКАЗОВ ПОКУПАТЕЛЯ ===========
+// Покупатель вводит email и получает одноразовую ссылку; по ней выдается
+// короткая сессия (x-customer-session) для просмотра своих заказов.
+// В базе хранятся только хеши токенов ссылок и сессий.
+
+function ordersByEmail(orders, email) {
+  return orders.filter(order => order.email && normalizeEmail(orderEmail(order)) === email);
+}
+
+// Удаляет истекшие ссылки и сессии
+async function purgeCustomerTokens() {
+  const now = Date.now();
+  
+  for (const collection of [storage.customerLogins, storage.customerSessions]) {
+    for (const entry of await collection.list()) {
+      if (new Date(entry.expires_at).getTime() <= now) {
+        await collection.remove(entry.id);
+      }
+    }
+  }
+}
+
+// Ссылка уходит через очередь писем, поэтому единичный сбой почты ее не теряет.
+// Письмо отправляет воркер, а не запрос: иначе по времени ответа было бы видно, есть ли заказы
+async function sendMagicLink(email, token, lang) {
+  const message = renderEmail("magic_link", lang, {
+    login_url: `${CONFIG.CUSTOMER_LOGIN_URL}?login=${token}`,
+    minutes: Math.round(CONFIG.CUSTOMER_LOGIN_TTL_MS / 60000)
+  }, CONFIG.MAIL_DEFAULT_LANG);
+  
+  return enqueueEmail({ order_id: null, template: "magic_link", to: email, ...message }, { deliverNow: false });
+}
+
+// Сессия покупателя из заголовка x-customer-session или null
+async function customerSession(req) {
+  const token = req.get("x-customer-session");
+  if (!token) return null;
+  
+  const session = await storage.customerSessions.get(hashToken(token));
+  if (!session || new Date(session.expires_at).getTime() <= Date.now()) return null;
+  
+  return session;
+}
+
+function customerUnauthorized(res) {
+  return res.status(401).json({ 
+    success: false, 
+    error: "Сессия истекла, запросите новую ссылку" 
+  });
+}
+
+// =========== СРОК ХРАНЕНИЯ ДАННЫХ ===========
+// Фоновая задача: стирает коды старше CODE_TTL_MS, обезличивает закрытые заказы
+// старше ORDER_RETENTION_MS и перешифровывает поля текущим ключом
+// (после ротации ключа или включения шифрования).
+
+// Незакрытые заказы не обезличиваются, даже если они старые
+const OPEN_ORDER_STATUSES = ["paid", "awaiting_email", "awaiting_code", "in_progress"];
+
+const ANONYMIZED_FIELDS = [...EMAIL_FIELDS, "code", "admin_comment", "access_token_hash"];
+
+function encryptedFields() {
+  return CONFIG.ENCRYPT_EMAILS ? ["code", ...EMAIL_FIELDS] : ["code"];
+}
+
+// Применяет правила хранения к заказу; возвращает список выполненных действий
+function applyRetention(order, now) {
+  const actions = [];
+  const at = new Date(now).toISOString();
+  
+  const codeSubmitted = new Date(order.code_submitted_at || order.updated_at || order.created_at).getTime();
+  if (order.code && now - codeSubmitted >= CONFIG.CODE_TTL_MS && wipeOrderCode(order, at)) {
+    actions.push("code_wiped");
+  }
+  
+  const age = now - new Date(order.created_at).getTime();
+  if (!order.anonymized_at && age >= CONFIG.ORDER_RETENTION_MS && !OPEN_ORDER_STATUSES.includes(getOrderStatus(order))) {
+    for (const field of ANONYMIZED_FIELDS) {
+      delete order[field];
+    }
+    if (order.gift) {
+      delete order.gift.message;
+      delete order.gift.token_hash;
+    }
+    order.anonymized_at = at;
+    actions.push("anonymized");
+  }
+  
+  const stale = encryptedFields().filter(field => fieldCipher.needsRotation(order[field]));
+  for (const field of stale) {
+    const value = decryptField(order[field]);
+    if (value !== null) order[field] = fieldCipher.encrypt(value);
+  }
+  if (stale.length > 0) {
+    actions.push("reencrypted");
+  }
+  
+  return actions;
+}
+
+// Журнал промокодов раньше хранил открытые email: заменяем их на HMAC.
+// Повторный запуск ничего не меняет.
+async function hashPromoRedemptionEmails() {
+  let migrated = 0;
+  
+  for (const promo of await storage.promoCodes.list()) {
+    if (!(promo.redemptions || []).some(r => r.email !== undefined)) continue;
+    
+    const updated = await storage.promoCodes.update(promo.id, (draft) => {
+      for (const redemption of draft.redemptions) {
+        if (redemption.email === undefined) continue;
+        
+        redemption.email_hash = redemption.email ? emailHash(redemption.email) : null;
+        delete redemption.email;
+      }
+    });
+    if (updated) migrated++;
+  }
+  
+  if (migrated > 0) {
+    console.log(`🔒 Email в журнале промокодов заменены на HMAC: промокодов ${migrated}`);
+  }
+}
+
+async function runRetention() {
+  const now = Date.now();
+  const stats = { code_wiped: 0, anonymized: 0, reencrypted: 0 };
+  
+  for (const order of await storage.orders.list()) {
+    // Проверка на копии: большинство заказов менять не нужно
+    if (applyRetention(structuredClone(order), now).length === 0) continue;
+    
+    let actions = [];
+    await storage.orders.update(order.id, (draft) => {
+      actions = applyRetention(draft, now);
+      if (actions.length === 0) return false;
+    });
+    
+    for (const action of actions) {
+      stats[action]++;
+    }
+  }
+  
+  if (stats.code_wiped || stats.anonymized || stats.reencrypted) {
+    console.log(`🧹 Хранение данных: стерто кодов ${stats.code_wiped}, обезличено заказов ${stats.anonymized}, перешифровано ${stats.reencrypted}`);
+  }
+  return stats;
+}
+
+// =========== ВЕБ-АДМИНКА ===========
+// Статические файлы из папки admin, данные — через /api/admin/* и /api/order-status-update.
+// Вход по ADMIN_PASSWORD; сессия — httpOnly cookie, в базе только хеш ее токена.
+
+const ADMIN_COOKIE = "duck_admin";
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const separator = part.indexOf("=");
+    if (separator > 0 && part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch {
+        // битое %-кодирование — как будто cookie нет
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+async function adminSession(req) {
+  const token = readCookie(req, ADMIN_COOKIE);
+  if (!token || !/^[a-f0-9]{64}$/.test(token)) return null;
+  
+  const session = await storage.adminSessions.get(hashToken(token));
+  if (!session || new Date(session.expires_at).getTime() <= Date.now()) return null;
+  
+  return session;
+}
+
+async function purgeAdminSessions() {
+  const now = Date.now();
+  
+  for (const session of await storage.adminSessions.list()) {
+    if (new Date(session.expires_at).getTime() <= now) {
+      await storage.adminSessions.remove(session.id);
+    }
+  }
+}
+
+function adminCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: CONFIG.SERVER_URL.startsWith("https://"),
+    path: "/"
+  };
+}
+
+// Ответ с данными сессии: CSRF-токен админка берет отсюда
+function adminSessionInfo(session) {
+  return {
+    success: true,
+    csrf_token: session.csrf_token,
+    expires_at: session.expires_at,
+    scopes: ADMIN_SCOPES
+  };
+}
+
+// =========== ВАЛЮТЫ И ЯЗЫКИ ===========
+// Цены товара — prices: { RUB: 19900, USD: 249 } в минорных единицах. Если цены в валюте
+// нет, она пересчитывается из цены в основной валюте по курсу из настроек.
+// Курс — сколько единиц основной валюты стоит единица валюты; продавать можно
+// только в валютах с курсом. Валюта и курс сохраняются в заказе на момент оформления,
+// по ним суммы заказа приводятся к основной валюте для лимитов и аналитики.
+const BASE_CURRENCY = CONFIG.BASE_CURRENCY;
+const BASE_PRICING = { currency: BASE_CURRENCY, rate: 1 };
+
+function exchangeRates(settings) {
+  return settings.exchange_rates || CONFIG.EXCHANGE_RATES;
+}
+
+function supportedCurrencies(settings) {
+  return [BASE_CURRENCY, ...Object.keys(exchangeRates(settings)).filter(currency => currency !== BASE_CURRENCY)];
+}
+
+// Валюта и курс для нового заказа; null — валюта не поддерживается
+function pricingFor(currency, settings) {
+  if (!currency || currency === BASE_CURRENCY) return BASE_PRICING;
+  
+  const rate = exchangeRates(settings)[currency];
+  return rate > 0 ? { currency, rate } : null;
+}
+
+// Валюта и курс, по которым оформлен заказ
+function orderPricing(order) {
+  return order.currency ? { currency: order.currency, rate: order.exchange_rate || 1 } : BASE_PRICING;
+}
+
+const fromBase = (amount, pricing) => convertMinor(amount, BASE_CURRENCY, pricing.currency, 1 / pricing.rate);
+const toBase = (amount, pricing) => convertMinor(amount, pricing.currency, BASE_CURRENCY, pricing.rate);
+
+// Денежное поле заказа (amount, discount, ...) в основной валюте
+function orderBaseAmount(order, field) {
+  return toBase(Number(order[field]) || 0, orderPricing(order));
+}
+
+// Цена товара в валюте заказа; null — товар в этой валюте не продается
+function productPrice(product, pricing = BASE_PRICING) {
+  const explicit = product.prices?.[pricing.currency];
+  if (Number.isInteger(explicit)) return explicit;
+  
+  const base = product.prices?.[BASE_CURRENCY];
+  return Number.isInteger(base) ? fromBase(base, pricing) : null;
+}
+
+// Название и описание на языке покупателя; без перевода — исходные
+function localizeProduct(product, lang) {
+  const translation = (lang && product.translations?.[lang]) || {};
+  
+  return {
+    name: translation.name || product.name,
+    description: translation.description || product.description || null
+  };
+}
+
+// Товар для витрины: цена в выбранной валюте, тексты на выбранном языке
+function catalogProduct(product, pricing, lang) {
+  const { prices, translations, ...rest } = product;
+  
+  return {
+    ...rest,
+    ...localizeProduct(product, lang),
+    ...publicAmounts({ price: productPrice(product, pricing) }, pricing.currency),
+    currency: pricing.currency
+  };
+}
+
+// Раньше цены и суммы хранились в целых единицах основной валюты (рублях):
+// переводим их в минорные единицы. Повторный запуск ничего не меняет.
+async function migrateMoneyFields() {
+  const minor = (amount) => typeof amount === 'number' ? toMinor(amount, BASE_CURRENCY) : amount;
+  let products = 0;
+  let orders = 0;
+  
+  for (const product of await storage.products.list()) {
+    if (product.prices || typeof product.price !== 'number') continue;
+    
+    const migrated = await storage.products.update(product.id, (draft) => {
+      if (draft.prices) return false;
+      
+      draft.prices = { [BASE_CURRENCY]: minor(draft.price) };
+      delete draft.price;
+    });
+    if (migrated) products++;
+  }
+  
+  for (const order of await storage.orders.list()) {
+    if (order.currency) continue;
+    
+    const migrated = await storage.orders.update(order.id, (draft) => {
+      if (draft.currency) return false;
+      
+      for (const field of ["amount", "subtotal", "discount", "refunded_amount"]) {
+        draft[field] = minor(draft[field]);
+      }
+      for (const line of draft.lines || []) {
+        line.price = minor(line.price);
+        line.total = minor(line.total);
+      }
+      for (const refund of draft.refunds || []) {
+        refund.amount = minor(refund.amount);
+      }
+      
+      draft.currency = BASE_CURRENCY;
+      draft.base_currency = BASE_CURRENCY;
+      draft.exchange_rate = 1;
+    });
+    if (migrated) orders++;
+  }
+  
+  if (products > 0 || orders > 0) {
+    console.log(`💱 Суммы переведены в минорные единицы: товаров ${products}, заказов ${orders}`);
+  }
+}
+
+// =========== ПОДАРКИ ===========
+// Товары с флагом gift можно оплатить в подарок: покупатель указывает email получателя
+// и сообщение, после оплаты получатель получает письмо со ссылкой на свой токен.
+// Email и код вводит только получатель; токен покупателя дает лишь статус заказа.
+// Неактивированный за GIFT_TTL_MS подарок истекает; админ может переназначить получателя.
+
+function orderGiftEmail(order) {
+  return decryptField(order.gift_email);
+}
+
+// awaiting_payment → pending (ссылка отправлена) → redeemed (получатель ввел email) / expired
+function giftStatus(order) {
+  if (order.gift.redeemed_at) return "redeemed";
+  if (getOrderStatus(order) === "expired") return "expired";
+  return order.gift.sent_at ? "pending" : "awaiting_payment";
+}
+
+// Подарок в админке и уведомлениях бота; null для обычного заказа
+function giftInfo(order) {
+  if (!order.gift) return null;
+  
+  return {
+    status: giftStatus(order),
+    recipient_email: orderGiftEmail(order),
+    message: order.gift.message || null,
+    sent_at: order.gift.sent_at || null,
+    expires_at: order.gift.expires_at || null,
+    redeemed_at: order.gift.redeemed_at || null,
+    expired_at: order.gift.expired_at || null,
+    reassignments: order.gift.reassignments || []
+  };
+}
+
+function isGiftExpired(order, now = Date.now()) {
+  if (!order.gift?.expires_at || order.gift.redeemed_at) return false;
+  return now >= new Date(order.gift.expires_at).getTime();
+}
+
+function canReassignGift(order) {
+  return !!order.gift && getOrderStatus(order) === "awaiting_email" && !order.gift.redeemed_at;
+}
+
+// В подарочной корзине — только товары с флагом gift
+function giftCartErrors(cart, products) {
+  return Object.keys(cart)
+    .filter(itemId => !products.find(p => p.id === itemId)?.gift)
+    .map(itemId => cartError("not_giftable", itemId));
+}
+
+function giftRecipientOnly(res) {
+  return res.status(403).json({ 
+    success: false, 
+    error: "Данные подарка вводит получатель по ссылке из письма" 
+  });
+}
+
+function giftExpired(res) {
+  return res.status(410).json({ 
+    success: false, 
+    error: "Срок действия подарка истек" 
+  });
+}
+
+// Выпускает получателю новую ссылку (прежняя перестает работать) и отправляет ее письмом.
+// recipient_email, message и actor передаются при переназначении админом.
+// Возвращает null, если подарок уже не ждет получателя.
+async function sendGift(order, { recipient_email, message, actor = null } = {}) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+  
+  const updated = await storage.orders.update(order.id, (draft) => {
+    if (!canReassignGift(draft)) return false;
+    
+    if (recipient_email) {
+      draft.gift_email = encryptEmail(recipient_email);
+    }
+    if (message !== undefined) {
+      draft.gift.message = message;
+    }
+    if (actor) {
+      draft.gift.reassignments ||= [];
+      draft.gift.reassignments.push({ actor, at: now.toISOString() });
+    }
+    
+    draft.gift.token_hash = hashToken(token);
+    draft.gift.sent_at = now.toISOString();
+    draft.gift.expires_at = new Date(now.getTime() + CONFIG.GIFT_TTL_MS).toISOString();
+    draft.updated_at = now.toISOString();
+  });
+  
+  if (!updated) return null;
+  
+  await notifyCustomer(updated, "gift_received", {
+    redeem_url: `${CONFIG.FRONTEND_URL}/gift.html?order=${updated.id}&token=${token}`,
+    message: updated.gift.message || null,
+    expires_at: updated.gift.expires_at,
+    items: formatGiftItems(updated.lines),
+    history_url: null
+  }, orderGiftEmail(updated));
+  
+  console.log(`🎁 Подарок ${updated.id} отправлен получателю ${maskEmail(orderGiftEmail(updated))}`);
+  return updated;
+}
+
+// Переводит в expired подарки, которые получатель не активировал вовремя
+async function expireGifts() {
+  const now = Date.now();
+  let expired = 0;
+  
+  for (const order of await storage.orders.list()) {
+    if (!canReassignGift(order) || !isGiftExpired(order, now)) continue;
+    
+    const updated = await storage.orders.update(order.id, (draft) => {
+      if (!canReassignGift(draft) || !isGiftExpired(draft, now)) return false;
+      
+      draft.gift.expired_at = new Date(now).toISOString();
+      transitionOrder(draft, "expired", "system", "Gift not redeemed in time");
+    });
+    
+    if (!updated) continue;
+    expired++;
+    publishOrderEvent("status", updated);
+    
+    // Деньги за подарок возвращает админ: бот получает подарок с пометкой gift_expired
+    await notifyBot({
+      order_id: updated.id,
+      email: null,
+      cart: updated.cart,
+      amount: updated.amount,
+      currency: updated.currency,
+      gift: giftInfo(updated),
+      stage: "gift_expired"
+    });
+    await notifyCustomer(updated, "gift_expired", { recipient_email: orderGiftEmail(updated) });
+  }
+  
+  if (expired > 0) {
+    console.log(`🎁 Истекло неактивированных подарков: ${expired}`);
+  }
+  return expired;
+}
+
+// =========== ТОВАРЫ ===========
+const PRODUCT_ID_PATTERN = /^[a-z0-9_-]{1,64}$/i;
+
+function parseBoolean(value) {
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  return null;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// Проверяет и нормализует поля товара.
+// partial: true — для PATCH, проверяются только переданные поля.
+function parseProductFields(input, { partial = false } = {}) {
+  const errors = [];
+  const fields = {};
+  const has = (field) => input[field] !== undefined;
+  
+  if (!partial) {
+    if (typeof input.id !== 'string' || !PRODUCT_ID_PATTERN.test(input.id)) {
+      errors.push({ field: "id", message: "must be 1-64 characters: letters, digits, '-' or '_'" });
+    } else {
+      fields.id = input.id;
+    }
+    
+    for (const field of ["name", "image"]) {
+      if (!has(field)) errors.push({ field, message: "is required" });
+    }
+  }
+  
+  if (has("name")) {
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 200) {
+      errors.push({ field: "name", message: "must be a non-empty string up to 200 characters" });
+    } else {
+      fields.name = input.name.trim();
+    }
+  }
+  
+  if (has("description")) {
+    if (input.description !== null && (typeof input.description !== 'string' || input.description.length > 2000)) {
+      errors.push({ field: "description", message: "must be a string up to 2000 characters or null" });
+    } else {
+      fields.description = input.description?.trim() || null;
+    }
+  }
+  
+  // price — цена в основной валюте в целых единицах (так ее присылает бот),
+  // prices — цены по валютам в минорных единицах; null в PATCH убирает цену в валюте
+  if (has("price")) {
+    const price = Number(input.price);
+    if (input.price === "" || !Number.isInteger(price) || price <= 0) {
+      errors.push({ field: "price", message: "must be a positive integer" });
+    } else {
+      fields.prices = { [BASE_CURRENCY]: toMinor(price, BASE_CURRENCY) };
+    }
+  }
+  
+  if (has("prices")) {
+    if (!isPlainObject(input.prices)) {
+      errors.push({ field: "prices", message: "must be an object: currency → price in minor units" });
+    } else {
+      for (const [currency, value] of Object.entries(input.prices)) {
+        const field = `prices.${currency}`;
+        const price = Number(value);
+        
+        if (!isCurrencyCode(currency)) {
+          errors.push({ field, message: "unknown currency" });
+        } else if (value === null && partial && currency !== BASE_CURRENCY) {
+          fields.prices = { ...fields.prices, [currency]: null };
+        } else if (value === null || value === "" || !Number.isInteger(price) || price <= 0) {
+          errors.push({ field, message: "must be a positive integer in minor units" });
+        } else {
+          fields.prices = { ...fields.prices, [currency]: price };
+        }
+      }
+    }
+  }
+  
+  if (!partial && !has("price") && !Number.isInteger(fields.prices?.[BASE_CURRENCY])) {
+    errors.push({ field: "prices", message: `must include a ${BASE_CURRENCY} price` });
+  }
+  
+  // translations: { en: { name, description } }; null вместо языка в PATCH убирает перевод
+  if (has("translations")) {
+    if (!isPlainObject(input.translations)) {
+      errors.push({ field: "translations", message: "must be an object: language → { name, description }" });
+    } else {
+      fields.translations = {};
+      
+      for (const [lang, texts] of Object.entries(input.translations)) {
+        const field = `translations.${lang}`;
+        const isText = (value, max) => value == null || (typeof value === 'string' && value.length <= max);
+        
+        if (!LANGUAGES.includes(lang)) {
+          errors.push({ field, message: `language must be one of: ${LANGUAGES.join(", ")}` });
+        } else if (texts === null) {
+          fields.translations[lang] = null;
+        } else if (!isPlainObject(texts) || !isText(texts.name, 200) || !isText(texts.description, 2000)) {
+          errors.push({ field, message: "must be { name, description }: strings up to 200 and 2000 characters" });
+        } else {
+          fields.translations[lang] = Object.fromEntries(
+            ["name", "description"].map(key => [key, texts[key]?.trim()]).filter(([, value]) => value)
+          );
+        }
+      }
+    }
+  }
+  
+  if (has("image")) {
+    if (!isHttpUrl(input.image)) {
+      errors.push({ field: "image", message: "must be an http(s) URL" });
+    } else {
+      fields.img = input.image;
+    }
+  }
+  
+  for (const field of ["gift", "active"]) {
+    if (!has(field)) continue;
+    
+    const value = parseBoolean(input[field]);
+    if (value === null) {
+      errors.push({ field, message: "must be a boolean" });
+    } else {
+      fields[field] = value;
+    }
+  }
+  
+  if (has("category")) {
+    if (input.category !== null && (typeof input.category !== 'string' || input.category.length > 64)) {
+      errors.push({ field: "category", message: "must be a string up to 64 characters or null" });
+    } else {
+      fields.category = input.category ? input.category.trim() : null;
+    }
+  }
+  
+  if (has("sort_order")) {
+    const sortOrder = Number(input.sort_order);
+    if (!Number.isInteger(sortOrder)) {
+      errors.push({ field: "sort_order", message: "must be an integer" });
+    } else {
+      fields.sort_order = sortOrder;
+    }
+  }
+  
+  if (has("stock")) {
+    const stock = input.stock === null ? null : Number(input.stock);
+    if (stock !== null && (!Number.isInteger(stock) || stock < 0)) {
+      errors.push({ field: "stock", message: "must be a non-negative integer or null" });
+    } else {
+      fields.stock = stock;
+    }
+  }
+  
+  if (has("max_quantity")) {
+    const maxQuantity = input.max_quantity === null ? null : Number(input.max_quantity);
+    if (maxQuantity !== null && (!Number.isInteger(maxQuantity) || maxQuantity <= 0)) {
+      errors.push({ field: "max_quantity", message: "must be a positive integer or null" });
+    } else {
+      fields.max_quantity = maxQuantity;
+    }
+  }
+  
+  return { errors, fields };
+}
+
+function productValidationError(res, errors) {
+  return res.status(400).json({ 
+    success: false,
+    error: "Invalid product fields",
+    errors 
+  });
+}
+
+// Товары без новых полей считаются активными и без учета остатков
+function isProductAvailable(product) {
+  return product.active !== false && (product.stock == null || product.stock > 0);
+}
+
+function sortProducts(products) {
+  return [...products].sort((a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0));
+}
+
+// Списание остатков после подтвержденной оплаты
+async function decrementStock(cart) {
+  for (const [itemId, quantity] of Object.entries(cart || {})) {
+    await storage.products.update(itemId, (product) => {
+      if (product.stock == null) return false;
+      
+      if (product.stock < quantity) {
+        console.warn(`⚠️ Недостаточно остатка товара ${itemId}: ${product.stock} < ${quantity}`);
+      }
+      product.stock = Math.max(0, product.stock - quantity);
+      product.updated_at = new Date().toISOString();
+    });
+  }
+}
+
+// Цены и переводы сливаются с текущими: null убирает цену в валюте или перевод
+const mergeEntries = (current, changes) => Object.fromEntries(
+  Object.entries({ ...current, ...changes }).filter(([, value]) => value !== null)
+);
+
+// Применяет к товару поля из parseProductFields
+function applyProductFields(product, fields) {
+  const { prices, translations, ...rest } = fields;
+  
+  Object.assign(product, rest);
+  if (prices) product.prices = mergeEntries(product.prices, prices);
+  if (translations) product.translations = mergeEntries(product.translations, translations);
+  
+  return product;
+}
+
+// Новый товар со значениями по умолчанию
+function buildProduct(fields) {
+  const product = applyProductFields({
+    id: fields.id,
+    gift: false,
+    category: null,
+    sort_order: 0,
+    active: true,
+    stock: null,
+    max_quantity: null
+  }, fields);
+  
+  product.created_at = new Date().toISOString();
+  return product;
+}
+
+// Создание товара: общий обработчик для бота и админского API
+async function createProduct(req, res) {
+  try {
+    const { errors, fields } = parseProductFields(req.body);
+    
+    if (errors.length > 0) {
+      return productValidationError(res, errors);
+    }
+    
+    if (await storage.products.get(fields.id)) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Product already exists" 
+      });
+    }
+    
+    const newProduct = buildProduct(fields);
+    
+    await storage.products.insert(newProduct);
+    
+    console.log(`✅ Товар добавлен: ${newProduct.name} (${formatMoney(newProduct.prices[BASE_CURRENCY], BASE_CURRENCY)})`);
+    
+    res.json({
+      success: true,
+      product: newProduct,
+      count: (await storage.products.list()).length
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка добавления товара:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error"
+    });
+  }
+}
+
+// =========== ПРОМОКОДЫ ===========
+const PROMO_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const PROMO_TYPES = ["percent", "fixed"];
+
+function normalizePromoCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : "";
+}
+
+// Проверяет и нормализует поля промокода (partial: true — для PATCH)
+function parsePromoFields(input, { partial = false } = {}) {
+  const errors = [];
+  const fields = {};
+  const has = (field) => input[field] !== undefined && input[field] !== null;
+  
+  const optionalPositiveInt = (field) => {
+    if (input[field] === null) {
+      fields[field] = null;
+    } else if (has(field)) {
+      const value = Number(input[field]);
+      if (!Number.isInteger(value) || value <= 0) {
+        errors.push({ field, message: "must be a positive integer or null" });
+      } else {
+        fields[field] = value;
+      }
+    }
+  };
+  
+  if (!partial) {
+    const code = normalizePromoCode(input.code);
+    if (!PROMO_CODE_PATTERN.test(code)) {
+      errors.push({ field: "code", message: "must be 3-32 characters: letters, digits, '-' or '_'" });
+    } else {
+      fields.id = code;
+    }
+    
+    for (const field of ["type", "value"]) {
+      if (!has(field)) errors.push({ field, message: "is required" });
+    }
+  }
+  
+  if (has("type")) {
+    if (!PROMO_TYPES.includes(input.type)) {
+      errors.push({ field: "type", message: `must be one of: ${PROMO_TYPES.join(", ")}` });
+    } else {
+      fields.type = input.type;
+    }
+  }
+  
+  if (has("value")) {
+    const value = Number(input.value);
+    const type = fields.type || input.type;
+    if (!Number.isInteger(value) || value <= 0 || (type === "percent" && value > 100)) {
+      errors.push({ field: "value", message: "must be a positive integer (1-100 for percent)" });
+    } else {
+      fields.value = value;
+    }
+  }
+  
+  if (input.expires_at === null) {
+    fields.expires_at = null;
+  } else if (has("expires_at")) {
+    const expiresAt = new Date(input.expires_at);
+    if (Number.isNaN(expiresAt.getTime())) {
+      errors.push({ field: "expires_at", message: "must be an ISO date" });
+    } else {
+      fields.expires_at = expiresAt.toISOString();
+    }
+  }
+  
+  optionalPositiveInt("max_uses");
+  optionalPositiveInt("max_uses_per_email");
+  optionalPositiveInt("min_cart_total");
+  
+  if (input.product_ids === null) {
+    fields.product_ids = [];
+  } else if (has("product_ids")) {
+    if (!Array.isArray(input.product_ids) || !input.product_ids.every(id => typeof id === 'string')) {
+      errors.push({ field: "product_ids", message: "must be an array of product ids" });
+    } else {
+      fields.product_ids = input.product_ids;
+    }
+  }
+  
+  if (has("active")) {
+    const active = parseBoolean(input.active);
+    if (active === null) {
+      errors.push({ field: "active", message: "must be a boolean" });
+    } else {
+      fields.active = active;
+    }
+  }
+  
+  return { errors, fields };
+}
+
+// Сумма позиций, на которые действует промокод (пустой product_ids — на все)
+function promoEligibleSubtotal(promo, cart, products, pricing = BASE_PRICING) {
+  let eligible = 0;
+  
+  for (const [itemId, quantity] of Object.entries(cart || {})) {
+    const product = products.find(p => p.id === itemId);
+    if (!product) continue;
+    
+    if (!promo.product_ids?.length || promo.product_ids.includes(itemId)) {
+      eligible += (productPrice(product, pricing) ?? 0) * quantity;
+    }
+  }
+  return eligible;
+}
+
+// Скидка в минорных единицах валюты заказа; фиксированная сумма промокода
+// задана в целых единицах основной валюты и пересчитывается по курсу
+function calculateDiscount(promo, cart, products, pricing = BASE_PRICING) {
+  const eligible = promoEligibleSubtotal(promo, cart, products, pricing);
+  
+  if (promo.type === "percent") {
+    return Math.floor(eligible * promo.value / 100);
+  }
+  return Math.min(fromBase(toMinor(promo.value, BASE_CURRENCY), pricing), eligible);
+}
+
+// Возвращает текст ошибки или null, если промокод можно применить
+function checkPromoCode(promo, { cart, products, subtotal, email, pricing = BASE_PRICING }) {
+  if (!promo || promo.active === false) {
+    return "Promo code not found";
+  }
+  
+  if (promo.expires_at && new Date(promo.expires_at) < new Date()) {
+    return "Promo code expired";
+  }
+  
+  if (promo.max_uses && (promo.uses || 0) >= promo.max_uses) {
+    return "Promo code usage limit reached";
+  }
+  
+  if (promo.max_uses_per_email) {
+    if (!email) {
+      return "Email is required for this promo code";
+    }
+    
+    const hash = emailHash(email);
+    const used = (promo.redemptions || []).filter(r => r.email_hash === hash).length;
+    if (used >= promo.max_uses_per_email) {
+      return "Promo code already used with this email";
+    }
+  }
+  
+  if (promo.min_cart_total && toBase(subtotal, pricing) < toMinor(promo.min_cart_total, BASE_CURRENCY)) {
+    return `Minimum cart total for this promo code is ${promo.min_cart_total} ${BASE_CURRENCY}`;
+  }
+  
+  if (promoEligibleSubtotal(promo, cart, products, pricing) === 0) {
+    return "Promo code does not apply to cart items";
+  }
+  
+  return null;
+}
+
+// Использование засчитывается только после подтвержденной оплаты. max_uses проверяется
+// при создании заказа, поэтому несколько одновременно оплаченных заказов могут превысить
+// лимит: оплату уже не отменить, такое использование записывается с предупреждением в лог
+async function redeemPromoCode(order) {
+  const email = decryptField(order.promo_email) || orderEmail(order);
+  
+  const promo = await storage.promoCodes.update(order.promo_code, (draft) => {
+    draft.redemptions ||= [];
+    if (draft.redemptions.some(r => r.order_id === order.id)) return false;
+    
+    draft.uses = (draft.uses || 0) + 1;
+    draft.redemptions.push({
+      order_id: order.id,
+      email_hash: email ? emailHash(email) : null,
+      discount: order.discount,
+      currency: orderPricing(order).currency,
+      at: new Date().toISOString()
+    });
+  });
+  
+  if (promo?.max_uses && promo.uses > promo.max_uses) {
+    console.warn(`⚠️ Промокод ${promo.id} использован ${promo.uses} раз при лимите ${promo.max_uses} (заказ ${order.id})`);
+  }
+}
+
+// =========== КОРЗИНА ===========
+const CART_ERROR_MESSAGES = {
+  empty_cart: "Корзина пуста",
+  unknown_item: "Товар не найден",
+  unavailable: "Товар недоступен",
+  no_price: "Товар не продается в выбранной валюте",
+  invalid_quantity: "Количество должно быть целым положительным числом",
+  quantity_limit: "Превышено максимальное количество товара",
+  insufficient_stock: "Недостаточно товара в наличии",
+  max_cart_total: "Сумма корзины превышает лимит",
+  not_giftable: "Товар нельзя купить в подарок"
+};
+
+function cartError(code, itemId = null, extra = {}) {
+  return { item_id: itemId, code, message: CART_ERROR_MESSAGES[code], ...extra };
+}
+
+// Проверка корзины перед оплатой. Возвращает список ошибок по позициям
+// (пустой, если корзину можно оплатить) и сумму без скидки.
+// Суммы в ошибках — в целых единицах валюты заказа, точные — в *_minor
+function validateCart(cart, products, settings, pricing = BASE_PRICING) {
+  const errors = [];
+  
+  if (!cart || typeof cart !== 'object' || Array.isArray(cart) || Object.keys(cart).length === 0) {
+    return { errors: [cartError("empty_cart")], subtotal: 0 };
+  }
+  
+  for (const [itemId, quantity] of Object.entries(cart)) {
+    const product = products.find(p => p.id === itemId);
+    
+    if (!product) {
+      errors.push(cartError("unknown_item", itemId));
+      continue;
+    }
+    
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      errors.push(cartError("invalid_quantity", itemId));
+      continue;
+    }
+    
+    if (!isProductAvailable(product)) {
+      errors.push(cartError("unavailable", itemId));
+    } else if (productPrice(product, pricing) === null) {
+      errors.push(cartError("no_price", itemId));
+    } else if (product.max_quantity && quantity > product.max_quantity) {
+      errors.push(cartError("quantity_limit", itemId, { max: product.max_quantity }));
+    } else if (product.stock != null && quantity > product.stock) {
+      errors.push(cartError("insufficient_stock", itemId, { max: product.stock }));
+    }
+  }
+  
+  const { subtotal } = calculateOrderTotal(cart, products, null, pricing);
+  const maxTotal = toMinor(settings.max_cart_total || 0, BASE_CURRENCY);
+  
+  if (errors.length === 0 && maxTotal && toBase(subtotal, pricing) > maxTotal) {
+    errors.push(cartError("max_cart_total", null, publicAmounts({ max: fromBase(maxTotal, pricing), total: subtotal }, pricing.currency)));
+  }
+  
+  return { errors, subtotal };
+}
+
+// =========== ВАЛИДАЦИЯ API ===========
+// Обмен с ботом подписывается HMAC-SHA256 в заголовках:
+//   X-Duck-Timestamp: unix-время в секундах
+//   X-Duck-Signature: v1=<hex>[,v1=<hex>]
+// Подписывается строка `${timestamp}.${METHOD}.${path}.${rawBody}`, где path включает query.
+// Во время ротации подписи считаются и текущим, и предыдущим секретом.
+const seenSignatures = new Map();
+
+function botSecrets() {
+  return [CONFIG.API_SECRET, CONFIG.API_SECRET_PREVIOUS].filter(Boolean);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a), 'utf8');
+  const right = Buffer.from(String(b), 'utf8');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function signRequest(secret, timestamp, method, requestPath, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${method}.${requestPath}.${body}`, "utf8")
+    .digest("hex");
+}
+
+function signatureHeaders(method, requestPath, body) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signatures = botSecrets().map(secret => `v1=${signRequest(secret, timestamp, method, requestPath, body)}`);
+  
+  return {
+    'X-Duck-Timestamp': timestamp,
+    'X-Duck-Signature': signatures.join(",")
+  };
+}
+
+// Возвращает причину отказа или null, если подпись верна
+function checkBotSignature(req) {
+  const timestamp = req.headers['x-duck-timestamp'];
+  const header = req.headers['x-duck-signature'];
+  
+  if (!timestamp || !header) return "missing_signature";
+  
+  const now = Math.floor(Date.now() / 1000);
+  if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp)) > CONFIG.SIGNATURE_TOLERANCE_SEC) {
+    return "stale_timestamp";
+  }
+  
+  const provided = header.split(",")
+    .map(part => part.trim())
+    .filter(part => part.startsWith("v1="))
+    .map(part => part.slice(3));
+  
+  const body = req.rawBody ? req.rawBody.toString("utf8") : "";
+  const matched = botSecrets()
+    .map(secret => signRequest(secret, timestamp, req.method, req.originalUrl, body))
+    .find(expected => provided.some(signature => safeEqual(signature, expected)));
+  
+  if (!matched) return "invalid_signature";
+  
+  // Одна и та же подпись принимается только один раз в пределах окна
+  for (const [signature, expiresAt] of seenSignatures) {
+    if (expiresAt < now) seenSignatures.delete(signature);
+  }
+  
+  if (seenSignatures.has(matched)) return "replayed";
+  seenSignatures.set(matched, Number(timestamp) + CONFIG.SIGNATURE_TOLERANCE_SEC);
+  
+  return null;
+}
+
+// =========== АВТОРИЗАЦИЯ ===========
+// Все привилегированные маршруты защищены requireScope. Принимаются:
+//   - именованный API-ключ: Authorization: Bearer dk_<id>.<secret> — только выданные ему scope;
+//   - cookie-сессия веб-админки — ADMIN_SCOPES, изменяющие запросы с заголовком x-csrf-token;
+//   - подписанный API_SECRET запрос бота — BOT_SCOPES.
+// Нет или неверные учетные данные — 401, не хватает scope — 403.
+// orders:sensitive — открытые коды и email в выгрузке заказов, выдается отдельно от orders:read.
+const API_SCOPES = ["catalog:write", "orders:read", "orders:write", "orders:sensitive", "settings:write", "keys:manage"];
+
+// Бот ведет каталог и заказы и выполняет их по кодам; настройки и ключи API — только из веб-админки
+const BOT_SCOPES = ["catalog:write", "orders:read", "orders:write", "orders:sensitive"];
+
+// Веб-админка — это владелец магазина: ей доступно все, включая выпуск ключей
+const ADMIN_SCOPES = API_SCOPES;
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key, "utf8").digest("hex");
+}
+
+async function authenticate(req) {
+  const authorization = req.headers.authorization || "";
+  
+  if (authorization.startsWith("Bearer ")) {
+    const match = /^dk_([a-f0-9]{16})\.([a-f0-9]{64})$/.exec(authorization.slice(7).trim());
+    if (!match) return { reason: "malformed_key" };
+    
+    const apiKey = await storage.apiKeys.get(match[1]);
+    if (!apiKey || apiKey.revoked_at || !safeEqual(apiKey.key_hash, hashApiKey(match[0]))) {
+      return { reason: "invalid_key" };
+    }
+    
+    // Отметку об использовании обновляем не чаще раза в минуту
+    if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at).getTime() > 60 * 1000) {
+      await storage.apiKeys.update(apiKey.id, (draft) => {
+        draft.last_used_at = new Date().toISOString();
+      });
+    }
+    
+    return { principal: { type: "api_key", id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes } };
+  }
+  
+  const session = await adminSession(req);
+  
+  if (session) {
+    const readOnly = ["GET", "HEAD"].includes(req.method);
+    if (!readOnly && !safeEqual(req.headers['x-csrf-token'] || "", session.csrf_token)) {
+      return { reason: "csrf_mismatch" };
+    }
+    
+    return { principal: { type: "admin_session", id: session.id, name: "admin", scopes: ADMIN_SCOPES } };
+  }
+  
+  if (!CONFIG.API_SECRET) return { reason: "not_configured" };
+  
+  // API_SECRET сам по себе не пропускает: только подпись с отметкой времени
+  const reason = checkBotSignature(req);
+  if (reason) return { reason };
+  
+  return { principal: { type: "bot", name: "bot", scopes: BOT_SCOPES } };
+}
+
+// Кто выполнил действие — для истории заказа
+const ACTOR_NAMES = {
+  api_key: (principal) => `key:${principal.name}`,
+  admin_session: () => "admin"
+};
+
+function actorName(req) {
+  return ACTOR_NAMES[req.principal?.type]?.(req.principal) || "bot";
+}
+
+const requireScope = (scope) => async (req, res, next) => {
+  try {
+    const { principal, reason } = await authenticate(req);
+    
+    if (!principal) {
+      console.warn(`🚫 Неавторизованный доступ (${reason}): ${req.path}`);
+      return res.status(401).json({ 
+        success: false,
+        error: "Unauthorized" 
+      });
+    }
+    
+    if (!principal.scopes.includes(scope)) {
+      console.warn(`🚫 Недостаточно прав (${principal.name}, нужен ${scope}): ${req.path}`);
+      return res.status(403).json({ 
+        success: false,
+        error: "Forbidden",
+        required_scope: scope 
+      });
+    }
+    
+    req.principal = principal;
+    next();
+  } catch (error) {
+    console.error("❌ Ошибка авторизации:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+};
+
+// =========== ЭНДПОИНТЫ ДЛЯ ФРОНТЕНДА ===========
+
+// 1. Проверка статуса заказа (GET)
+app.get("/api/order-status/:order_id", limitByIp, validateRequest(ROUTES.orderStatus), async (req, res) => {
+  try {
+    const { order_id } = req.params;
+    
+    const order = await storage.orders.get(order_id);
+    
+    // Несуществующий заказ неотличим от чужого: id заказов легко перебрать
+    if (!order || !hasOrderAccess(order, req)) {
+      return orderAccessDenied(res);
+    }
+    
+    res.json({
+      success: true,
+      exists: true,
+      order_id,
+      email: maskEmail(orderEmail(order)),
+      code: maskSecret(order.code),
+      status: getOrderStatus(order),
+      ...publicAmounts({ amount: order.amount || 0, refunded_amount: order.refunded_amount || 0 }, orderPricing(order).currency),
+      currency: orderPricing(order).currency,
+      gift: order.gift ? {
+        status: giftStatus(order),
+        message: order.gift.message || null,
+        expires_at: order.gift.expires_at || null
+      } : null,
+      history: order.history || [],
+      created_at: order.created_at,
+      updated_at: order.updated_at || order.created_at
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка проверки статуса:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 2. Отправка email (POST)
+app.post("/submit-email", limitByIp, validateRequest(ROUTES.submitEmail), async (req, res) => {
+  try {
+    const { order_id, email } = req.body;
+    
+    console.log(`📧 Получен email для заказа ${order_id}: ${maskEmail(email)}`);
+    
+    const order = await storage.orders.get(order_id);
+    
+    if (!order || !canSubmitOrderData(order, req)) {
+      return order?.gift && hasOrderAccess(order, req) ? giftRecipientOnly(res) : orderAccessDenied(res);
+    }
+    
+    if (await orderSubmitsLimited(res, order_id)) return;
+    
+    if (order.payment_status !== 'success') {
+      return orderNotPaid(res);
+    }
+    
+    if (isGiftExpired(order)) {
+      return giftExpired(res);
+    }
+    
+    // Промокод привязан к покупателю, а email подарка вводит получатель
+    if (order.promo_email && !order.gift && normalizeEmail(decryptField(order.promo_email)) !== normalizeEmail(email)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Email не совпадает с указанным при оплате" 
+      });
+    }
+    
+    if (!canTransition(order, "awaiting_code")) {
+      return transitionError(res, order, "awaiting_code");
+    }
+    
+    // Корзину и сумму берем из заказа, созданного при оплате
+    const { cart, amount } = order;
+    const { currency } = orderPricing(order);
+    
+    // Повторная проверка внутри транзакции: статус мог измениться параллельным запросом
+    const updated = await storage.orders.update(order_id, (draft) => {
+      if (!canTransition(draft, "awaiting_code")) return false;
+      
+      draft.email = encryptEmail(email);
+      if (draft.gift) {
+        draft.gift.redeemed_at = new Date().toISOString();
+      }
+      transitionOrder(draft, "awaiting_code", draft.gift ? "gift_recipient" : "customer", "Email submitted");
+    });
+    
+    if (!updated) {
+      return transitionError(res, await storage.orders.get(order_id), "awaiting_code");
+    }
+    
+    console.log(`✅ Email сохранен для заказа ${order_id}`);
+    publishOrderEvent("status", updated);
+    
+    // Уведомляем бота
+    const botNotified = await notifyBot({
+      order_id,
+      email,
+      cart,
+      amount,
+      currency,
+      gift: giftInfo(updated),
+      stage: "email_submitted"
+    });
+    
+    console.log(`🤖 Уведомление боту: ${botNotified ? '✅ Отправлено' : '❌ Ошибка'}`);
+    
+    res.json({ 
+      success: true, 
+      message: "Email сохранен",
+      order_id,
+      email: maskEmail(email),
+      ...publicAmounts({ amount }, currency),
+      currency,
+      bot_notified: botNotified
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка сохранения email:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 3. Отправка кода (POST)
+app.post("/api/submit-code", limitByIp, validateRequest(ROUTES.submitCode), async (req, res) => {
+  try {
+    const { order_id, email, code } = req.body;
+    
+    console.log(`🔢 Получен код для заказа ${order_id}`);
+    
+    const order = await storage.orders.get(order_id);
+    
+    if (!order || !canSubmitOrderData(order, req)) {
+      return order?.gift && hasOrderAccess(order, req) ? giftRecipientOnly(res) : orderAccessDenied(res);
+    }
+    
+    if (await orderSubmitsLimited(res, order_id)) return;
+    
+    if (order.payment_status !== 'success') {
+      return orderNotPaid(res);
+    }
+    
+    const lockout = await rateLimiters.wrongEmail.check(order_id);
+    
+    if (lockout.limited) {
+      return tooManyRequests(res, lockout.retryAfter, "Слишком много неверных попыток, попробуйте позже");
+    }
+    
+    if (orderEmail(order) !== email) {
+      await rateLimiters.wrongEmail.hit(order_id);
+      console.warn(`🚦 Неверный email для заказа ${order_id}`);
+      
+      return res.status(400).json({ 
+        success: false, 
+        error: "Email не совпадает" 
+      });
+    }
+    
+    await rateLimiters.wrongEmail.reset(order_id);
+    
+    if (!canTransition(order, "in_progress")) {
+      return transitionError(res, order, "in_progress");
+    }
+    
+    const updated = await storage.orders.update(order_id, (draft) => {
+      if (!canTransition(draft, "in_progress")) return false;
+      
+      draft.code = fieldCipher.encrypt(code);
+      draft.code_submitted_at = new Date().toISOString();
+      transitionOrder(draft, "in_progress", draft.gift ? "gift_recipient" : "customer", "Code submitted");
+    });
+    
+    if (!updated) {
+      return transitionError(res, await storage.orders.get(order_id), "in_progress");
+    }
+    
+    console.log(`✅ Код сохранен для заказа ${order_id}`);
+    publishOrderEvent("status", updated);
+    
+    // Уведомляем бота
+    const botNotified = await notifyBot({
+      order_id,
+      email,
+      items: updated.cart,
+      amount: updated.amount,
+      currency: updated.currency,
+      code: code,
+      gift: giftInfo(updated),
+      stage: "code_submitted"
+    });
+    
+    res.json({ 
+      success: true, 
+      message: "Код отправлен на проверку",
+      order_id,
+      status: "pending",
+      next_check: Date.now() + 5000,
+      bot_notified: botNotified
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка сохранения кода:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// =========== ОСНОВНЫЕ ЭНДПОИНТЫ ===========
+
+// 4. Товары (GET): ?currency= — цены в валюте (минорные единицы), ?lang= — язык названий
+app.get("/api/products", validateRequest(ROUTES.products), async (req, res) => {
+  try {
+    await seedTestProducts();
+    
+    const { category, currency, lang } = req.query;
+    const settings = await storage.settings.get();
+    const pricing = pricingFor(currency, settings);
+    
+    if (!pricing) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Валюта не поддерживается",
+        currencies: supportedCurrencies(settings),
+        products: [] 
+      });
+    }
+    
+    let products = (await storage.products.list())
+      .filter(p => isProductAvailable(p) && productPrice(p, pricing) !== null);
+    if (category) {
+      products = products.filter(p => p.category === category);
+    }
+    products = sortProducts(products);
+    
+    const categories = [...new Set(products.map(p => p.category).filter(Boolean))];
+    
+    res.json({
+      success: true,
+      products: products.map(p => catalogProduct(p, pricing, lang)),
+      categories,
+      count: products.length,
+      currency: pricing.currency,
+      currencies: supportedCurrencies(settings),
+      ...publicAmounts({ max_cart_total: fromBase(toMinor(settings.max_cart_total, BASE_CURRENCY), pricing) }, pricing.currency)
+    });
+  } catch (error) {
+    console.error("❌ Ошибка получения товаров:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error",
+      products: [] 
+    });
+  }
+});
+
+// 5. Добавить товар (POST) - для бота
+app.post("/api/add-product", requireScope("catalog:write"), validateRequest(ROUTES.addProduct), createProduct);
+
+// 6. Удалить товар (POST) - для бота
+app.post("/api/delete-product", requireScope("catalog:write"), validateRequest(ROUTES.deleteProduct), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    const deleted = await storage.products.remove(id);
+    
+    if (!deleted) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Product not found" 
+      });
+    }
+    
+    res.json({
+      success: true,
+      deleted: id,
+      count: (await storage.products.list()).length
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка удаления товара:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// Статусы, о которых покупателю уходит письмо
+const STATUS_EMAILS = ["in_progress", "completed", "rejected"];
+
+// 7. Обновление статуса заказа (POST) - для бота
+app.post("/api/order-status-update", requireScope("orders:write"), validateRequest(ROUTES.orderStatusUpdate), async (req, res) => {
+  try {
+    const { order_id, status, admin_comment } = req.body;
+    
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unknown status. Allowed: ${ORDER_STATUSES.join(", ")}` 
+      });
+    }
+    
+    // Деньги возвращает только шлюз: статус выставится по вебхуку возврата
+    if (status === "refunded") {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Use POST /api/admin/orders/:id/refund" 
+      });
+    }
+    
+    console.log(`🔄 Обновление статуса заказа ${order_id}: ${status}`);
+    
+    let current = null;
+    const updated = await storage.orders.update(order_id, (draft) => {
+      current = draft;
+      if (!canTransition(draft, status)) return false;
+      
+      transitionOrder(draft, status, actorName(req), admin_comment || null);
+      
+      if (admin_comment) {
+        draft.admin_comment = admin_comment;
+      }
+    });
+    
+    if (!current) {
+      console.log(`❌ Заказ ${order_id} не найден`);
+      return res.status(404).json({ 
+        success: false, 
+        error: "Order not found" 
+      });
+    }
+    
+    if (!updated) {
+      return transitionError(res, current, status);
+    }
+    
+    if (status === "completed") {
+      console.log(`✅ Заказ ${order_id} завершен`);
+    } else if (status === "rejected") {
+      console.log(`❌ Заказ ${order_id} отклонен`);
+    }
+    
+    publishOrderEvent("status", updated);
+    
+    if (STATUS_EMAILS.includes(status)) {
+      await notifyCustomer(updated, status);
+    }
+    
+    res.json({ 
+      success: true, 
+      message: "Статус обновлен",
+      order_id,
+      status 
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка обновления статуса:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 8. Поиск заказов для админа (GET): фильтры, сортировка и курсор из next_cursor
+app.get("/api/admin/orders", requireScope("orders:read"), validateRequest(ROUTES.adminOrders), async (req, res) => {
+  try {
+    const { limit, cursor, sort, order: direction } = req.query;
+    
+    let after = null;
+    if (cursor) {
+      after = decodeCursor(cursor, sort, direction);
+      
+      if (!after) {
+        return res.status(400).json({ 
+          success: false,
+          error: "Invalid cursor" 
+        });
+      }
+    }
+    
+    const allOrders = await storage.orders.list();
+    const sortValue = ORDER_SORT_FIELDS[sort];
+    const sign = direction === "asc" ? 1 : -1;
+    const compare = (a, b) => sign * ((a.value - b.value) || a.id.localeCompare(b.id));
+    
+    const filters = orderFilters(req.query);
+    const matched = allOrders
+      .filter(order => orderMatches(order, filters))
+      .map(order => ({ order, id: order.id, value: sortValue(order) }))
+      .sort(compare);
+    
+    const rest = after ? matched.filter(entry => compare(entry, after) > 0) : matched;
+    const page = rest.slice(0, limit);
+    const last = page.at(-1);
+    
+    const products = await storage.products.list();
+    
+    res.json({
+      success: true,
+      orders: page.map(entry => formatAdminOrder(entry.order, products)),
+      count: page.length,
+      matched_count: matched.length,
+      total_count: allOrders.length,
+      next_cursor: rest.length > limit ? encodeCursor(sort, direction, last.value, last.id) : null
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка получения заказов:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 9. Платежная система
+app.post("/create-payment", limitByIp, limitPayments, validateRequest(ROUTES.createPayment), async (req, res) => {
+  try {
+    const { items, method, promo_code, email, lang, currency, gift } = req.body;
+    const provider = paymentProviders.forMethod(method);
+    
+    if (!provider?.configured) {
+      return paymentNotConfigured(res);
+    }
+    
+    const settings = await storage.settings.get();
+    const pricing = pricingFor(currency, settings);
+    
+    if (!pricing) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Currency is not supported",
+        currencies: supportedCurrencies(settings) 
+      });
+    }
+    
+    if (provider.currencies && !provider.currencies.includes(pricing.currency)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Payment method does not accept ${pricing.currency}` 
+      });
+    }
+    
+    const products = await storage.products.list();
+    const cartCheck = validateCart(items, products, settings, pricing);
+    
+    if (cartCheck.errors.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Invalid cart",
+        errors: cartCheck.errors 
+      });
+    }
+    
+    const giftErrors = gift ? giftCartErrors(items, products) : [];
+    
+    if (giftErrors.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Invalid cart",
+        errors: giftErrors 
+      });
+    }
+    
+    let promo = null;
+    
+    if (promo_code) {
+      promo = await storage.promoCodes.get(normalizePromoCode(promo_code));
+      
+      const promoError = checkPromoCode(promo, {
+        cart: items,
+        products,
+        subtotal: cartCheck.subtotal,
+        email,
+        pricing
+      });
+      
+      if (promoError) {
+        return res.status(400).json({ 
+          success: false,
+          error: promoError 
+        });
+      }
+    }
+    
+    const { subtotal, discount, total: amount } = calculateOrderTotal(items, products, promo, pricing);
+    
+    if (amount === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Cart total is zero" 
+      });
+    }
+    
+    // Случайный суффикс: два заказа в одну миллисекунду не получат один id
+    const order_id = `duck_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+    const accessToken = crypto.randomBytes(32).toString("hex");
+    const orderLang = lang || CONFIG.MAIL_DEFAULT_LANG;
+    
+    // Суммы — в минорных единицах валюты заказа; курс сохраняется на момент оформления
+    const newOrder = {
+      id: order_id,
+      cart: items,
+      lines: cartLines(items, products, pricing, orderLang),
+      subtotal,
+      discount,
+      amount,
+      currency: pricing.currency,
+      base_currency: BASE_CURRENCY,
+      exchange_rate: pricing.rate,
+      promo_code: promo ? promo.id : null,
+      payment_provider: provider.name,
+      access_token_hash: hashToken(accessToken),
+      contact_email: encryptEmail(email || null),
+      lang: orderLang,
+      created_at: new Date().toISOString()
+    };
+    
+    // Для промокодов с лимитом на email заказ привязывается к указанному адресу
+    if (promo?.max_uses_per_email) {
+      newOrder.promo_email = encryptEmail(email);
+    }
+    
+    // Ссылку получателю выпускает sendGift после оплаты
+    if (gift) {
+      newOrder.gift_email = encryptEmail(gift.recipient_email);
+      newOrder.gift = { message: gift.message || null };
+    }
+    transitionOrder(newOrder, "created", "customer", `Payment method: ${method}`);
+    
+    await storage.orders.insert(newOrder);
+    publishOrderEvent("created", newOrder);
+    
+    const { url } = await provider.createPayment({
+      order_id,
+      method,
+      amount: toGatewayAmount(newOrder, amount),
+      currency: pricing.currency,
+      description: `Заказ #${order_id.substring(0, 8)}`,
+      success_url: `${CONFIG.FRONTEND_URL}/success-pay.html?order=${order_id}&token=${accessToken}`,
+      fail_url: `${CONFIG.FRONTEND_URL}/fail.html`,
+      notify_url: paymentNotifyUrl(provider)
+    });
+    
+    res.json({
+      success: true,
+      url,
+      order_id,
+      access_token: accessToken,
+      ...publicAmounts({ subtotal, discount, amount }, pricing.currency),
+      currency: pricing.currency,
+      gift: !!gift
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка платежа:", error.message);
+    
+    res.status(500).json({
+      success: false,
+      error: error.response?.data || error.message
+    });
+  }
+});
+
+// 10. Вебхуки платежных провайдеров
+const WEBHOOK_ERRORS = {
+  invalid_signature: [403, "Invalid signature"],
+  shop_id_mismatch: [400, "Shop ID mismatch"]
+};
+
+async function handlePaymentWebhook(req, res, provider) {
+  try {
+    if (!provider) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Unknown payment provider" 
+      });
+    }
+    
+    console.log(`📦 Вебхук от ${provider.name}:`, { order_id: req.body.order_id, status: req.body.status });
+    
+    const { error, event } = provider.verifyWebhook(req.body);
+    
+    if (error) {
+      const [httpStatus, message] = WEBHOOK_ERRORS[error] || [400, "Invalid webhook"];
+      await auditRejectedWebhook(req, error);
+      return res.status(httpStatus).json({ 
+        success: false,
+        error: message 
+      });
+    }
+    
+    const { order_id, status, amount } = event;
+    const order = await storage.orders.get(order_id);
+    
+    if (!order) {
+      await auditRejectedWebhook(req, "order_not_found");
+      return res.status(404).json({ 
+        success: false,
+        error: "Order not found" 
+      });
+    }
+    
+    if (orderPaymentProvider(order) !== provider) {
+      await auditRejectedWebhook(req, "provider_mismatch");
+      return res.status(400).json({ 
+        success: false,
+        error: "Payment provider mismatch" 
+      });
+    }
+    
+    if (event.type === "refund") {
+      return await handleRefundWebhook(req, res, order, event);
+    }
+    
+    if (fromGatewayAmount(order, amount) !== Number(order.amount)) {
+      await auditRejectedWebhook(req, "amount_mismatch");
+      return res.status(400).json({ 
+        success: false,
+        error: "Amount mismatch" 
+      });
+    }
+    
+    const updated = await applyPaymentStatus(order, status, "gateway");
+    
+    if (!updated) {
+      await auditRejectedWebhook(req, "replayed");
+      return res.status(200).json({ success: true, duplicate: true });
+    }
+    
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error("❌ Ошибка вебхука:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+}
+
+// Адрес, прописанный в кабинете BileePay
+app.post("/bilee-notify", validateRequest(ROUTES.bileeNotify), (req, res) => {
+  return handlePaymentWebhook(req, res, paymentProviders.get("bilee"));
+});
+
+app.post("/payments/:provider/notify", validateRequest(ROUTES.paymentWebhook), (req, res) => {
+  return handlePaymentWebhook(req, res, paymentProviders.get(req.params.provider));
+});
+
+// =========== УПРАВЛЕНИЕ КАТАЛОГОМ ===========
+
+// 11. Все товары, включая скрытые (GET)
+app.get("/api/admin/products", requireScope("catalog:write"), validateRequest(ROUTES.adminProducts), async (req, res) => {
+  try {
+    const products = sortProducts(await storage.products.list());
+    
+    res.json({
+      success: true,
+      products,
+      count: products.length
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка получения товаров:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 12. Создать товар (POST)
+app.post("/api/admin/products", requireScope("catalog:write"), validateRequest(ROUTES.adminCreateProduct), createProduct);
+
+// 13. Изменить поля товара (PATCH)
+app.patch("/api/admin/products/:id", requireScope("catalog:write"), validateRequest(ROUTES.adminUpdateProduct), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { errors, fields } = parseProductFields(req.body, { partial: true });
+    
+    if (errors.length > 0) {
+      return productValidationError(res, errors);
+    }
+    
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: "No fields to update" 
+      });
+    }
+    
+    const updated = await storage.products.update(id, (product) => {
+      applyProductFields(product, fields);
+      product.updated_at = new Date().toISOString();
+    });
+    
+    if (!updated) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Product not found" 
+      });
+    }
+    
+    console.log(`✏️ Товар обновлен: ${id} (${Object.keys(fields).join(", ")})`);
+    
+    res.json({
+      success: true,
+      product: updated
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка обновления товара:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 14. Удалить товар (DELETE)
+app.delete("/api/admin/products/:id", requireScope("catalog:write"), validateRequest(ROUTES.adminDeleteProduct), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!(await storage.products.remove(id))) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Product not found" 
+      });
+    }
+    
+    res.json({
+      success: true,
+      deleted: id,
+      count: (await storage.products.list()).length
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка удаления товара:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 15. Порядок товаров (POST): ids в нужном порядке
+app.post("/api/admin/products/reorder", requireScope("catalog:write"), validateRequest(ROUTES.adminReorderProducts), async (req, res) => {
+  try {
+    const { ids } = req.body;
+    
+    const missing = [];
+    
+    for (const [index, id] of ids.entries()) {
+      const updated = await storage.products.update(id, (product) => {
+        product.sort_order = index;
+        product.updated_at = new Date().toISOString();
+      });
+      
+      if (!updated) missing.push(id);
+    }
+    
+    res.json({
+      success: true,
+      products: sortProducts(await storage.products.list()),
+      missing
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка сортировки товаров:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// =========== УПРАВЛЕНИЕ ПРОМОКОДАМИ ===========
+
+function promoValidationError(res, errors) {
+  return res.status(400).json({ 
+    success: false,
+    error: "Invalid promo code fields",
+    errors 
+  });
+}
+
+// 16. Список промокодов (GET)
+app.get("/api/admin/promo-codes", requireScope("catalog:write"), validateRequest(ROUTES.adminPromoCodes), async (req, res) => {
+  try {
+    const promoCodes = await storage.promoCodes.list();
+    
+    res.json({
+      success: true,
+      promo_codes: promoCodes,
+      count: promoCodes.length
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка получения промокодов:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 17. Создать промокод (POST)
+app.post("/api/admin/promo-codes", requireScope("catalog:write"), validateRequest(ROUTES.adminCreatePromoCode), async (req, res) => {
+  try {
+    const { errors, fields } = parsePromoFields(req.body);
+    
+    if (errors.length > 0) {
+      return promoValidationError(res, errors);
+    }
+    
+    if (await storage.promoCodes.get(fields.id)) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Promo code already exists" 
+      });
+    }
+    
+    const promo = {
+      id: fields.id,
+      expires_at: null,
+      max_uses: null,
+      max_uses_per_email: null,
+      min_cart_total: null,
+      product_ids: [],
+      active: true,
+      ...fields,
+      uses: 0,
+      redemptions: [],
+      created_at: new Date().toISOString()
+    };
+    
+    await storage.promoCodes.insert(promo);
+    
+    console.log(`🏷️ Промокод создан: ${promo.id} (${promo.type} ${promo.value})`);
+    
+    res.json({
+      success: true,
+      promo_code: promo
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка создания промокода:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 18. Изменить промокод (PATCH)
+app.patch("/api/admin/promo-codes/:code", requireScope("catalog:write"), validateRequest(ROUTES.adminUpdatePromoCode), async (req, res) => {
+  try {
+    const { errors, fields } = parsePromoFields(req.body, { partial: true });
+    
+    if (errors.length > 0) {
+      return promoValidationError(res, errors);
+    }
+    
+    let typeError = false;
+    const updated = await storage.promoCodes.update(normalizePromoCode(req.params.code), (promo) => {
+      Object.assign(promo, fields);
+      
+      // Смена типа не должна оставить процент больше 100
+      if (promo.type === "percent" && promo.value > 100) {
+        typeError = true;
+        return false;
+      }
+      promo.updated_at = new Date().toISOString();
+    });
+    
+    if (typeError) {
+      return promoValidationError(res, [{ field: "value", message: "must be 1-100 for percent" }]);
+    }
+    
+    if (!updated) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Promo code not found" 
+      });
+    }
+    
+    res.json({
+      success: true,
+      promo_code: updated
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка обновления промокода:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 19. Удалить промокод (DELETE)
+app.delete("/api/admin/promo-codes/:code", requireScope("catalog:write"), validateRequest(ROUTES.adminDeletePromoCode), async (req, res) => {
+  try {
+    const code = normalizePromoCode(req.params.code);
+    
+    if (!(await storage.promoCodes.remove(code))) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Promo code not found" 
+      });
+    }
+    
+    res.json({
+      success: true,
+      deleted: code
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка удаления промокода:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// =========== НАСТРОЙКИ МАГАЗИНА ===========
+// max_cart_total — в целых единицах основной валюты
+
+function settingsInfo(settings) {
+  return {
+    ...settings,
+    base_currency: BASE_CURRENCY,
+    exchange_rates: exchangeRates(settings)
+  };
+}
+
+// 20. Текущие настройки и лимиты товаров (GET)
+app.get("/api/admin/settings", requireScope("settings:write"), validateRequest(ROUTES.adminSettings), async (req, res) => {
+  try {
+    const settings = await storage.settings.get();
+    const products = sortProducts(await storage.products.list());
+    
+    res.json({
+      success: true,
+      settings: settingsInfo(settings),
+      product_limits: Object.fromEntries(products.map(p => [p.id, p.max_quantity ?? null]))
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка получения настроек:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 21. Изменить настройки (PATCH): max_cart_total, product_limits { id: max_quantity | null }
+// и exchange_rates { валюта: курс | null } — null убирает валюту
+app.patch("/api/admin/settings", requireScope("settings:write"), validateRequest(ROUTES.adminUpdateSettings), async (req, res) => {
+  try {
+    const { max_cart_total, product_limits, exchange_rates } = req.body;
+    const errors = [];
+    
+    // Форму полей уже проверила схема, здесь — существование товаров и коды валют
+    for (const id of Object.keys(product_limits || {})) {
+      if (!(await storage.products.get(id))) {
+        errors.push({ field: `product_limits.${id}`, message: "product not found" });
+      }
+    }
+    
+    for (const currency of Object.keys(exchange_rates || {})) {
+      if (!isCurrencyCode(currency) || currency === BASE_CURRENCY) {
+        errors.push({ field: `exchange_rates.${currency}`, message: "unknown currency or base currency" });
+      }
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Invalid settings",
+        errors 
+      });
+    }
+    
+    const settings = max_cart_total === undefined && exchange_rates === undefined
+      ? await storage.settings.get()
+      : await storage.settings.update((draft) => {
+        if (max_cart_total !== undefined) {
+          draft.max_cart_total = max_cart_total;
+        }
+        if (exchange_rates) {
+          draft.exchange_rates = mergeEntries(exchangeRates(draft), exchange_rates);
+          draft.exchange_rates_updated_at = new Date().toISOString();
+        }
+        draft.updated_at = new Date().toISOString();
+      });
+    
+    for (const [id, limit] of Object.entries(product_limits || {})) {
+      await storage.products.update(id, (product) => {
+        product.max_quantity = limit;
+        product.updated_at = new Date().toISOString();
+      });
+    }
+    
+    console.log(`⚙️ Настройки обновлены: лимит корзины ${formatMoney(toMinor(settings.max_cart_total, BASE_CURRENCY), BASE_CURRENCY)}, валюты ${supportedCurrencies(settings).join(", ")}`);
+    
+    const products = sortProducts(await storage.products.list());
+    
+    res.json({
+      success: true,
+      settings: settingsInfo(settings),
+      product_limits: Object.fromEntries(products.map(p => [p.id, p.max_quantity ?? null]))
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка обновления настроек:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// =========== ОЧЕРЕДЬ УВЕДОМЛЕНИЙ ===========
+// ?queue=bot — уведомления боту (по умолчанию), ?queue=email — письма покупателям
+const OUTBOXES = {
+  bot: { outbox: botOutbox, store: storage.botOutbox },
+  email: { outbox: emailOutbox, store: storage.emailOutbox }
+};
+
+// Код в уведомлениях боту не показывается, email расшифровывается
+function formatOutboxEntry(entry) {
+  // Ссылка из письма открывает историю заказов или подарок, поэтому текст не показываем
+  if (SECRET_LINK_TEMPLATES.includes(entry.payload.template)) {
+    return { ...entry, payload: { ...entry.payload, text: undefined, html: undefined } };
+  }
+  
+  if (!("code" in entry.payload)) return entry;
+  
+  return {
+    ...entry,
+    payload: {
+      ...entry.payload,
+      email: decryptField(entry.payload.email),
+      code: maskSecret(entry.payload.code)
+    }
+  };
+}
+
+// 22. Очередь уведомлений (GET): ?status=pending|delivered|dead
+app.get("/api/admin/outbox", requireScope("orders:read"), validateRequest(ROUTES.adminOutbox), async (req, res) => {
+  try {
+    const { status, queue } = req.query;
+    
+    const entries = await OUTBOXES[queue].store.list();
+    const filtered = status ? entries.filter(e => e.status === status) : entries;
+    
+    const counts = {};
+    for (const entry of entries) {
+      counts[entry.status] = (counts[entry.status] || 0) + 1;
+    }
+    
+    res.json({
+      success: true,
+      entries: filtered.reverse().map(formatOutboxEntry),
+      count: filtered.length,
+      counts
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка получения очереди:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 23. Повторить доставку одного уведомления (POST)
+app.post("/api/admin/outbox/:id/retry", requireScope("orders:write"), validateRequest(ROUTES.adminOutboxRetry), async (req, res) => {
+  try {
+    const entry = await OUTBOXES[req.query.queue].outbox.retry(req.params.id);
+    
+    if (!entry) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Entry not found or already delivered" 
+      });
+    }
+    
+    res.json({
+      success: true,
+      entry: formatOutboxEntry(entry)
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка повторной доставки:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 24. Повторить доставку всех уведомлений из dead-letter (POST)
+app.post("/api/admin/outbox/retry-dead", requireScope("orders:write"), validateRequest(ROUTES.adminOutboxRetryDead), async (req, res) => {
+  try {
+    const { outbox, store } = OUTBOXES[req.query.queue];
+    const dead = (await store.list()).filter(e => e.status === "dead");
+    
+    let delivered = 0;
+    for (const entry of dead) {
+      const result = await outbox.retry(entry.id);
+      if (result?.status === "delivered") delivered++;
+    }
+    
+    res.json({
+      success: true,
+      retried: dead.length,
+      delivered
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка повторной доставки:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// =========== API-КЛЮЧИ ===========
+
+// Ключ без хеша и секрета — для ответов API
+function formatApiKey(apiKey) {
+  const { key_hash, ...rest } = apiKey;
+  return rest;
+}
+
+// 25. Список ключей (GET)
+app.get("/api/admin/api-keys", requireScope("keys:manage"), validateRequest(ROUTES.adminApiKeys), async (req, res) => {
+  try {
+    const keys = (await storage.apiKeys.list()).map(formatApiKey);
+    
+    res.json({
+      success: true,
+      keys,
+      scopes: API_SCOPES
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка получения ключей:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 26. Выпустить ключ (POST): { name, scopes } — сам ключ возвращается только один раз
+app.post("/api/admin/api-keys", requireScope("keys:manage"), validateRequest(ROUTES.adminCreateApiKey), async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+    const errors = [];
+    
+    if (!name.trim()) {
+      errors.push({ field: "name", message: "must be a non-empty string up to 100 characters" });
+    }
+    
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_SCOPES.includes(scope))) {
+      errors.push({ field: "scopes", message: `must be a non-empty array of: ${API_SCOPES.join(", ")}` });
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Invalid API key fields",
+        errors 
+      });
+    }
+    
+    const id = crypto.randomBytes(8).toString("hex");
+    const key = `dk_${id}.${crypto.randomBytes(32).toString("hex")}`;
+    
+    const apiKey = {
+      id,
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      key_hash: hashApiKey(key),
+      prefix: key.slice(0, 12),
+      created_by: req.principal.name,
+      created_at: new Date().toISOString(),
+      last_used_at: null,
+      revoked_at: null
+    };
+    
+    await storage.apiKeys.insert(apiKey);
+    
+    console.log(`🔑 Выпущен ключ ${apiKey.name}: ${apiKey.scopes.join(", ")}`);
+    
+    res.json({
+      success: true,
+      key,
+      api_key: formatApiKey(apiKey)
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка создания ключа:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 27. Отозвать ключ (DELETE)
+app.delete("/api/admin/api-keys/:id", requireScope("keys:manage"), validateRequest(ROUTES.adminRevokeApiKey), async (req, res) => {
+  try {
+    const revoked = await storage.apiKeys.update(req.params.id, (apiKey) => {
+      if (apiKey.revoked_at) return false;
+      apiKey.revoked_at = new Date().toISOString();
+    });
+    
+    if (!revoked) {
+      return res.status(404).json({ 
+        success: false,
+        error: "API key not found" 
+      });
+    }
+    
+    console.log(`🔑 Ключ отозван: ${revoked.name}`);
+    
+    res.json({
+      success: true,
+      api_key: formatApiKey(revoked)
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка отзыва ключа:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// =========== ЛИМИТЫ ЗАПРОСОВ ===========
+
+// 28. Текущие счетчики (GET)
+app.get("/api/admin/rate-limits", requireScope("settings:write"), validateRequest(ROUTES.adminRateLimits), async (req, res) => {
+  try {
+    const limiters = {};
     
-    // Уведомляем бота
-    const botNotified = await notifyBot({
-      order_id,
-      email,
-      cart,
-      amount,
-      stage: "email_submitted"
+    for (const [key, limiter] of Object.entries(rateLimiters)) {
+      limiters[key] = {
+        window_sec: limiter.windowMs / 1000,
+        max: limiter.max,
+        counters: await limiter.snapshot()
+      };
+    }
+    
+    res.json({
+      success: true,
+      cors_origins: CONFIG.CORS_ORIGINS,
+      limiters
     });
     
-    console.log(`🤖 Уведомление боту: ${botNotified ? '✅ Отправлено' : '❌ Ошибка'}`);
+  } catch (error) {
+    console.error("❌ Ошибка получения лимитов:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 29. Сбросить счетчик (POST): { limiter, key } — например, снять блокировку заказа
+app.post("/api/admin/rate-limits/reset", requireScope("settings:write"), validateRequest(ROUTES.adminResetRateLimit), async (req, res) => {
+  try {
+    const { limiter, key } = req.body;
     
-    res.json({ 
-      success: true, 
-      message: "Email сохранен",
-      order_id,
-      email,
-      amount,
-      bot_notified: botNotified
+    if (!rateLimiters[limiter] || !key) {
+      return res.status(400).json({ 
+        success: false,
+        error: `limiter (${Object.keys(rateLimiters).join(", ")}) and key required` 
+      });
+    }
+    
+    await rateLimiters[limiter].reset(key);
+    
+    res.json({
+      success: true,
+      limiter,
+      key
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка сброса лимита:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// =========== ВОЗВРАТЫ И ОТМЕНА ===========
+
+// 30. Возврат (POST): { amount?, reason?, cancel? } — amount в минорных единицах валюты заказа,
+// без него возвращается весь остаток; cancel: true дополнительно отклоняет заказ, чтобы бот не выполнял его
+app.post("/api/admin/orders/:id/refund", requireScope("orders:write"), validateRequest(ROUTES.adminRefundOrder), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason, cancel } = req.body;
+    const order = await storage.orders.get(id);
+    
+    if (!order) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Order not found" 
+      });
+    }
+    
+    const provider = orderPaymentProvider(order);
+    
+    if (!provider?.configured) {
+      return paymentNotConfigured(res);
+    }
+    
+    if (order.payment_status !== 'success') {
+      return res.status(409).json({ 
+        success: false,
+        error: "Order is not paid" 
+      });
+    }
+    
+    const available = refundableAmount(order);
+    const refundAmount = amount ?? available;
+    
+    if (refundAmount === 0 || refundAmount > available || (cancel && refundAmount !== available)) {
+      return res.status(400).json({ 
+        success: false,
+        error: cancel ? "Cancellation refunds the whole remaining amount" : "Invalid refund amount",
+        refundable_amount: available
+      });
+    }
+    
+    if (cancel && !canTransition(order, "rejected")) {
+      return transitionError(res, order, "rejected");
+    }
+    
+    const actor = actorName(req);
+    
+    // Повторная проверка внутри транзакции: параллельный возврат мог занять сумму
+    const updated = await storage.orders.update(id, (draft) => {
+      if (refundableAmount(draft) < refundAmount) return false;
+      if (cancel && !canTransition(draft, "rejected")) return false;
+      
+      draft.refunds ||= [];
+      draft.refunds.push({
+        id: `${id}_refund_${draft.refunds.length + 1}`,
+        amount: refundAmount,
+        reason: reason || null,
+        status: "pending",
+        actor,
+        created_at: new Date().toISOString()
+      });
+      draft.updated_at = new Date().toISOString();
+      
+      if (cancel) {
+        transitionOrder(draft, "rejected", actor, reason || "Cancelled");
+      }
+    });
+    
+    if (!updated) {
+      return res.status(409).json({ 
+        success: false,
+        error: "Order changed, try again",
+        refundable_amount: refundableAmount(await storage.orders.get(id))
+      });
+    }
+    
+    const refund = updated.refunds.at(-1);
+    const { currency } = orderPricing(updated);
+    console.log(`💸 Запрошен возврат ${refund.id}: ${formatMoney(refund.amount, currency)}${cancel ? ' (отмена заказа)' : ''}`);
+    publishOrderEvent(cancel ? "status" : "refund", updated, { refund });
+    
+    if (cancel) {
+      await notifyBot({
+        order_id: id,
+        email: orderEmail(updated),
+        cart: updated.cart,
+        amount: updated.amount,
+        currency,
+        refund,
+        gift: giftInfo(updated),
+        stage: "order_cancelled"
+      });
+    }
+    
+    try {
+      await provider.refund({
+        order_id: id,
+        refund_id: refund.id,
+        amount: toGatewayAmount(updated, refund.amount),
+        currency,
+        description: refund.reason || `Возврат по заказу #${id.substring(0, 8)}`,
+        notify_url: paymentNotifyUrl(provider)
+      });
+    } catch (error) {
+      console.error(`❌ Шлюз не принял возврат ${refund.id}:`, error.message);
+      
+      const failed = await storage.orders.update(id, (draft) => {
+        return applyRefundResult(draft, refund.id, false, error.message);
+      });
+      
+      if (failed) {
+        publishOrderEvent("refund", failed, { refund: failed.refunds.find(r => r.id === refund.id) });
+      }
+      
+      return res.status(502).json({ 
+        success: false,
+        error: "Refund request failed",
+        refund: (failed || await storage.orders.get(id)).refunds.find(r => r.id === refund.id)
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      order_id: id,
+      status: getOrderStatus(updated),
+      refund,
+      refundable_amount: refundableAmount(updated)
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка возврата:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// =========== СВЕРКА ПЛАТЕЖЕЙ: ОТЧЕТЫ ===========
+
+// 31. Отчеты сверки (GET): ?limit= — новые первыми
+app.get("/api/admin/reconciliation", requireScope("orders:read"), validateRequest(ROUTES.adminReconciliationReports), async (req, res) => {
+  try {
+    const { limit } = req.query;
+    
+    const reports = (await storage.reconciliationReports.list())
+      .sort((a, b) => new Date(b.started_at) - new Date(a.started_at));
+    
+    res.json({
+      success: true,
+      reports: reports.slice(0, limit),
+      count: Math.min(limit, reports.length),
+      settings: {
+        interval_ms: CONFIG.RECONCILE_INTERVAL_MS,
+        after_ms: CONFIG.RECONCILE_AFTER_MS,
+        order_ttl_ms: CONFIG.ORDER_TTL_MS
+      }
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка получения отчетов сверки:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
     });
+  }
+});
+
+// 32. Запустить сверку сейчас (POST)
+app.post("/api/admin/reconciliation/run", requireScope("orders:write"), validateRequest(ROUTES.adminRunReconciliation), async (req, res) => {
+  try {
+    const report = await reconcilePayments("manual");
+    
+    if (!report) {
+      return res.status(409).json({ 
+        success: false,
+        error: "Reconciliation already running" 
+      });
+    }
+    
+    res.json({
+      success: true,
+      report
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка сверки:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// =========== КАРТОЧКА ЗАКАЗА ===========
+
+// 33. Полный заказ для админа (GET)
+app.get("/api/admin/orders/:id", requireScope("orders:read"), validateRequest(ROUTES.adminOrder), async (req, res) => {
+  try {
+    const order = await storage.orders.get(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Order not found" 
+      });
+    }
+    
+    // Возврат выставляет только шлюз, поэтому refunded в списке нет
+    res.json({
+      success: true,
+      order: formatAdminOrder(order, await storage.products.list()),
+      allowed_statuses: (ORDER_TRANSITIONS[getOrderStatus(order)] || []).filter(status => status !== "refunded")
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка получения заказа:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// =========== АНАЛИТИКА: ОТЧЕТЫ ===========
+// Все отчеты принимают ?from=&to= (дата или дата-время) и ?format=csv для выгрузки
+
+// 34. Выручка по периодам (GET): ?period=day|week|month
+app.get("/api/admin/analytics/revenue", requireScope("orders:read"), validateRequest(ROUTES.adminAnalyticsRevenue), async (req, res) => {
+  try {
+    const range = analyticsRangeOrError(req, res);
+    if (!range) return;
+    
+    const { period, format } = req.query;
+    const { rows, totals } = revenueReport(await storage.orders.list(), range, period);
+    
+    if (format === "csv") {
+      return sendCsv(res, `revenue-${period}.csv`, rows, ["period", "orders", "gross", "discounts", "refunds", "net"]);
+    }
+    
+    res.json({
+      success: true,
+      range: rangeInfo(range),
+      period,
+      currency: BASE_CURRENCY,
+      totals,
+      rows
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка отчета по выручке:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 35. Заказы (GET): статусы, воронка, время выполнения, отказы
+app.get("/api/admin/analytics/orders", requireScope("orders:read"), validateRequest(ROUTES.adminAnalyticsOrders), async (req, res) => {
+  try {
+    const range = analyticsRangeOrError(req, res);
+    if (!range) return;
+    
+    const report = ordersReport(await storage.orders.list(), range);
+    
+    if (req.query.format === "csv") {
+      const rows = [
+        ...Object.entries(report.statuses).map(([key, value]) => ({ section: "status", key, value })),
+        ...report.funnel.map(step => ({ section: "funnel", key: step.step, value: step.count, rate: step.rate_from_created })),
+        ...Object.entries(report.fulfillment).map(([key, value]) => ({ section: "fulfillment", key, value })),
+        ...Object.entries(report.rejections).map(([key, value]) => ({ section: "rejections", key, value }))
+      ];
+      return sendCsv(res, "orders.csv", rows, ["section", "key", "value", "rate"]);
+    }
+    
+    res.json({
+      success: true,
+      range: rangeInfo(range),
+      ...report
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка отчета по заказам:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 36. Топ товаров (GET): ?by=quantity|revenue&limit=
+app.get("/api/admin/analytics/products", requireScope("orders:read"), validateRequest(ROUTES.adminAnalyticsProducts), async (req, res) => {
+  try {
+    const range = analyticsRangeOrError(req, res);
+    if (!range) return;
+    
+    const { by, limit, format } = req.query;
+    const rows = productsReport(await storage.orders.list(), await storage.products.list(), range, by, limit);
+    
+    if (format === "csv") {
+      return sendCsv(res, `top-products-${by}.csv`, rows, ["product_id", "name", "quantity", "revenue", "orders"]);
+    }
+    
+    res.json({
+      success: true,
+      range: rangeInfo(range),
+      by,
+      currency: BASE_CURRENCY,
+      products: rows
+    });
+    
+  } catch (error) {
+    console.error("❌ Ошибка отчета по товарам:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// =========== ЭКСПОРТ И ИМПОРТ ===========
+
+// 37. Выгрузка заказов (GET): ?format=csv|ndjson, фильтры как у /api/admin/orders
+app.get("/api/admin/export/orders", requireScope("orders:read"), validateRequest(ROUTES.adminExportOrders), async (req, res) => {
+  try {
+    const { format, include_sensitive } = req.query;
+    const filters = orderFilters(req.query);
+    
+    if (include_sensitive && !req.principal.scopes.includes("orders:sensitive")) {
+      console.warn(`🚫 Недостаточно прав (${req.principal.name}, нужен orders:sensitive): ${req.path}`);
+      return res.status(403).json({ 
+        success: false,
+        error: "Forbidden",
+        required_scope: "orders:sensitive" 
+      });
+    }
+    
+    const orders = (await storage.orders.list())
+      .filter(order => orderMatches(order, filters))
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    const products = await storage.products.list();
+    
+    // Каждая выгрузка открытых данных остается в журнале: кто, когда и какие заказы
+    if (include_sensitive) {
+      await storage.accessAudit.append({
+        action: "orders_export_sensitive",
+        actor: actorName(req),
+        ip: req.ip,
+        filters: req.query,
+        order_ids: orders.map(order => order.id),
+        at: new Date().toISOString()
+      });
+    }
+    
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set("Content-Disposition", `attachment; filename="orders-${stamp}.${format}"`);
+    
+    const columns = include_sensitive ? [...ORDER_EXPORT_COLUMNS, "code"] : ORDER_EXPORT_COLUMNS;
+    
+    if (format === "csv") {
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      await writeChunk(res, csvHeader(columns));
+    } else {
+      res.set("Content-Type", "application/x-ndjson; charset=utf-8");
+    }
+    
+    for (const order of orders) {
+      const { row, full } = orderExportRow(order, products, include_sensitive);
+      
+      await writeChunk(res, format === "csv"
+        ? csvRow({ ...row, code: full.code }, columns)
+        : JSON.stringify(full) + "\n");
+    }
+    
+    console.log(`📤 Выгрузка заказов (${format}): ${orders.length}${include_sensitive ? `, открытые данные (${actorName(req)})` : ''}`);
+    res.end();
+    
+  } catch (error) {
+    console.error("❌ Ошибка выгрузки заказов:", error);
+    
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 38. Выгрузка каталога (GET): ?format=csv|json
+app.get("/api/admin/export/products", requireScope("catalog:write"), validateRequest(ROUTES.adminExportProducts), async (req, res) => {
+  try {
+    const products = sortProducts(await storage.products.list()).map(productExportRow);
+    
+    if (req.query.format === "csv") {
+      const rows = products.map(productCsvRow);
+      return sendCsv(res, "products.csv", rows, productCsvColumns(rows));
+    }
+    
+    res.set("Content-Disposition", 'attachment; filename="products.json"');
+    res.json(products);
     
   } catch (error) {
-    console.error("❌ Ошибка сохранения email:", error);
+    console.error("❌ Ошибка выгрузки каталога:", error);
     res.status(500).json({ 
       success: false,
       error: "Server error" 
@@ -230,68 +4317,56 @@ app.post("/submit-email", async (req, res) => {
   }
 });
 
-// 3. Отправка кода (POST)
-app.post("/api/submit-code", async (req, res) => {
+// 39. Импорт каталога (POST): CSV (text/csv) или JSON-массив; ?dry_run=true только показывает план
+const importBodyParser = express.text({ type: ["text/csv", "text/plain"], limit: "2mb", verify: keepRawBody });
+
+app.post("/api/admin/import/products", importBodyParser, requireScope("catalog:write"), validateRequest(ROUTES.adminImportProducts), async (req, res) => {
   try {
-    const { order_id, email, code } = req.body;
-    
-    if (!order_id || !email || !code) {
-      return res.status(400).json({ 
-        success: false, 
-        error: "Не все поля заполнены" 
-      });
-    }
-    
-    console.log(`🔢 Получен код для заказа ${order_id}: ${code}`);
+    const { dry_run } = req.query;
     
-    await db.read();
-    
-    const orderIndex = db.data.orders.findIndex(o => o.id === order_id);
-    
-    if (orderIndex === -1) {
-      return res.status(404).json({ 
-        success: false, 
-        error: "Заказ не найден" 
-      });
+    let rows;
+    if (typeof req.body === 'string') {
+      rows = parseCsv(req.body).map(normalizeImportRow);
+    } else {
+      rows = Array.isArray(req.body) ? req.body : req.body.products;
     }
     
-    if (db.data.orders[orderIndex].email !== email) {
+    if (!Array.isArray(rows) || rows.length === 0 || rows.length > IMPORT_MAX_ROWS) {
       return res.status(400).json({ 
-        success: false, 
-        error: "Email не совпадает" 
+        success: false,
+        error: `Expected 1-${IMPORT_MAX_ROWS} products as CSV or a JSON array` 
       });
     }
     
-    db.data.orders[orderIndex].code = code;
-    db.data.orders[orderIndex].status = "pending_code";
-    db.data.orders[orderIndex].code_submitted_at = new Date().toISOString();
-    db.data.orders[orderIndex].updated_at = new Date().toISOString();
+    const plan = planProductImport(rows, await storage.products.list());
     
-    await db.write();
+    if (!dry_run) {
+      for (const entry of plan) {
+        if (entry.action === "create") {
+          await storage.products.insert(buildProduct(entry.fields));
+        } else if (entry.action === "update") {
+          await storage.products.update(entry.id, (product) => {
+            applyProductFields(product, entry.fields);
+            product.updated_at = new Date().toISOString();
+          });
+        }
+      }
+    }
     
-    console.log(`✅ Код сохранен для заказа ${order_id}`);
+    const summary = { create: 0, update: 0, unchanged: 0, reject: 0 };
+    for (const entry of plan) summary[entry.action]++;
     
-    // Уведомляем бота
-    const botNotified = await notifyBot({
-      order_id,
-      email,
-      items: db.data.orders[orderIndex].cart,
-      amount: db.data.orders[orderIndex].amount,
-      code: code,
-      stage: "code_submitted"
-    });
+    console.log(`📥 Импорт каталога${dry_run ? ' (dry run)' : ''}: ${JSON.stringify(summary)}`);
     
-    res.json({ 
-      success: true, 
-      message: "Код отправлен на проверку",
-      order_id,
-      status: "pending",
-      next_check: Date.now() + 5000,
-      bot_notified: botNotified
+    res.json({
+      success: true,
+      dry_run,
+      summary,
+      rows: plan.map(({ fields, ...entry }) => entry)
     });
     
   } catch (error) {
-    console.error("❌ Ошибка сохранения кода:", error);
+    console.error("❌ Ошибка импорта каталога:", error);
     res.status(500).json({ 
       success: false,
       error: "Server error" 
@@ -299,141 +4374,124 @@ app.post("/api/submit-code", async (req, res) => {
   }
 });
 
-// =========== ОСНОВНЫЕ ЭНДПОИНТЫ ===========
+// =========== ИСТОРИЯ ЗАКАЗОВ ПОКУПАТЕЛЯ ===========
 
-// 4. Товары (GET)
-app.get("/api/products", async (req, res) => {
-  try {
-    await db.read();
-    
-    if (CONFIG.CREATE_TEST_PRODUCTS && db.data.products.length === 0) {
-      db.data.products = [
-        {
-          id: "c30",
-          name: "30 кристаллов",
-          price: 200,
-          img: "https://i.imgur.com/s4K0WIP.png",
-          gift: false
-        },
-        {
-          id: "c80",
-          name: "80 кристаллов",
-          price: 550,
-          img: "https://i.imgur.com/XbnZKDb.png",
-          gift: false
-        }
-      ];
-      await db.write();
-      console.log("✅ Созданы тестовые товары");
+// 40. Запросить ссылку на историю заказов (POST): { email }
+// Ответ одинаковый, есть заказы на этот email или нет
+app.post("/api/customer/login", limitByIp, limitMagicLinks, validateRequest(ROUTES.customerLogin), async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    
+    await purgeCustomerTokens();
+    
+    const orders = ordersByEmail(await storage.orders.list(), email);
+    
+    if (orders.length > 0) {
+      const token = crypto.randomBytes(32).toString("hex");
+      const now = Date.now();
+      
+      await storage.customerLogins.insert({
+        id: hashToken(token),
+        email,
+        created_at: new Date(now).toISOString(),
+        expires_at: new Date(now + CONFIG.CUSTOMER_LOGIN_TTL_MS).toISOString()
+      });
+      
+      // Язык письма — из запроса, иначе как у последнего заказа
+      await sendMagicLink(email, token, req.body.lang || orders.at(-1).lang);
+      console.log(`🔗 Ссылка на историю заказов поставлена в очередь: ${maskEmail(email)}`);
     }
     
     res.json({
       success: true,
-      products: db.data.products,
-      count: db.data.products.length,
-      max_cart_total: db.data.settings.max_cart_total
+      message: "Если на этот email есть заказы, мы отправили ссылку"
     });
+    
   } catch (error) {
-    console.error("❌ Ошибка получения товаров:", error);
+    console.error("❌ Ошибка отправки ссылки:", error);
     res.status(500).json({ 
       success: false,
-      error: "Server error",
-      products: [] 
+      error: "Server error" 
     });
   }
 });
 
-// 5. Добавить товар (POST) - для бота
-app.post("/api/add-product", async (req, res) => {
+// 41. Обменять ссылку на сессию (POST): { token } — ссылка срабатывает один раз
+app.post("/api/customer/session", limitByIp, validateRequest(ROUTES.customerSession), async (req, res) => {
   try {
-    const { id, name, price, image, gift = false, secret } = req.body;
-    
-    if (!secret || secret !== CONFIG.API_SECRET) {
-      return res.status(401).json({ 
-        success: false,
-        error: "Unauthorized" 
-      });
-    }
+    const loginId = hashToken(req.body.token);
+    const now = Date.now();
     
-    if (!id || !name || !price || !image) {
-      return res.status(400).json({ 
-        success: false,
-        error: "Missing required fields" 
-      });
-    }
-    
-    await db.read();
+    const login = await storage.customerLogins.update(loginId, (draft) => {
+      if (draft.used_at || new Date(draft.expires_at).getTime() <= now) return false;
+      draft.used_at = new Date(now).toISOString();
+    });
     
-    if (db.data.products.find(p => p.id === id)) {
-      return res.status(400).json({ 
-        success: false,
-        error: "Product already exists" 
+    if (!login) {
+      return res.status(401).json({ 
+        success: false, 
+        error: "Ссылка недействительна или уже использована" 
       });
     }
     
-    const newProduct = {
-      id,
-      name,
-      price: Number(price),
-      img: image,
-      gift: Boolean(gift),
-      created_at: new Date().toISOString()
-    };
-    
-    db.data.products.push(newProduct);
-    await db.write();
+    const sessionToken = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date(now + CONFIG.CUSTOMER_SESSION_TTL_MS).toISOString();
     
-    console.log(`✅ Товар добавлен: ${name} (${price}₽)`);
+    await storage.customerSessions.insert({
+      id: hashToken(sessionToken),
+      email: login.email,
+      created_at: new Date(now).toISOString(),
+      expires_at: expiresAt
+    });
     
     res.json({
       success: true,
-      product: newProduct,
-      count: db.data.products.length
+      session_token: sessionToken,
+      email: login.email,
+      expires_at: expiresAt
     });
     
   } catch (error) {
-    console.error("❌ Ошибка добавления товара:", error);
+    console.error("❌ Ошибка входа по ссылке:", error);
     res.status(500).json({ 
       success: false,
-      error: "Server error"
+      error: "Server error" 
     });
   }
 });
 
-// 6. Удалить товар (POST) - для бота
-app.post("/api/delete-product", verifyApiSecret, async (req, res) => {
+// 42. Заказы покупателя (GET): заголовок x-customer-session
+app.get("/api/customer/orders", limitByIp, validateRequest(ROUTES.customerOrders), async (req, res) => {
   try {
-    const { id } = req.body;
-    
-    if (!id) {
-      return res.status(400).json({ 
-        success: false,
-        error: "Product ID required" 
-      });
-    }
-    
-    await db.read();
+    const session = await customerSession(req);
     
-    const initialCount = db.data.products.length;
-    db.data.products = db.data.products.filter(p => p.id !== id);
-    
-    if (db.data.products.length === initialCount) {
-      return res.status(404).json({ 
-        success: false,
-        error: "Product not found" 
-      });
+    if (!session) {
+      return customerUnauthorized(res);
     }
     
-    await db.write();
+    const products = await storage.products.list();
+    const orders = ordersByEmail(await storage.orders.list(), session.email)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .map(order => ({
+        order_id: order.id,
+        status: getOrderStatus(order),
+        ...publicAmounts({ amount: order.amount || 0, refunded_amount: order.refunded_amount || 0 }, orderPricing(order).currency),
+        currency: orderPricing(order).currency,
+        lines: publicLines(order.lines || cartLines(order.cart, products, orderPricing(order)), orderPricing(order).currency),
+        created_at: order.created_at,
+        updated_at: order.updated_at || order.created_at
+      }));
     
     res.json({
       success: true,
-      deleted: id,
-      count: db.data.products.length
+      email: session.email,
+      orders,
+      count: orders.length,
+      expires_at: session.expires_at
     });
     
   } catch (error) {
-    console.error("❌ Ошибка удаления товара:", error);
+    console.error("❌ Ошибка получения истории заказов:", error);
     res.status(500).json({ 
       success: false,
       error: "Server error" 
@@ -441,65 +4499,121 @@ app.post("/api/delete-product", verifyApiSecret, async (req, res) => {
   }
 });
 
-// 7. Обновление статуса заказа (POST) - для бота
-app.post("/api/order-status-update", async (req, res) => {
+// 43. Выйти (POST): завершает сессию покупателя
+app.post("/api/customer/logout", validateRequest(ROUTES.customerLogout), async (req, res) => {
   try {
-    const { order_id, status, admin_comment, secret } = req.body;
+    const token = req.get("x-customer-session");
     
-    if (!secret || secret !== CONFIG.API_SECRET) {
-      return res.status(401).json({ 
-        success: false, 
-        error: "Unauthorized" 
-      });
+    if (token) {
+      await storage.customerSessions.remove(hashToken(token));
     }
     
-    if (!order_id || !status) {
-      return res.status(400).json({ 
-        success: false, 
-        error: "Missing required fields" 
-      });
-    }
+    res.json({ success: true });
     
-    console.log(`🔄 Обновление статуса заказа ${order_id}: ${status}`);
+  } catch (error) {
+    console.error("❌ Ошибка выхода:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// =========== ПОТОКИ СОБЫТИЙ (SSE) ===========
+
+// 44. Поток статуса заказа (GET): ?token=... — EventSource не умеет передавать заголовки.
+// Сразу после подключения приходит текущий статус, затем события status и refund
+app.get("/api/order-status/:order_id/stream", limitByIp, validateRequest(ROUTES.orderStatusStream), async (req, res) => {
+  try {
+    const { order_id } = req.params;
+    const order = await storage.orders.get(order_id);
     
-    await db.read();
+    if (!order || !hasOrderAccess(order, req, { allowQuery: true })) {
+      return orderAccessDenied(res);
+    }
     
-    const orderIndex = db.data.orders.findIndex(o => o.id === order_id);
+    openEventStream(req, res, {
+      bus: orderEvents,
+      filter: (event) => event.data.order_id === order_id && event.type !== "created",
+      initial: () => [{ id: orderEvents.lastId(), type: "status", data: orderEventData(order) }],
+      heartbeatMs: CONFIG.SSE_HEARTBEAT_MS
+    });
     
-    if (orderIndex === -1) {
-      console.log(`❌ Заказ ${order_id} не найден`);
-      return res.status(404).json({ 
-        success: false, 
-        error: "Order not found" 
+  } catch (error) {
+    console.error("❌ Ошибка потока статуса:", error);
+    
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
+  }
+});
+
+// 45. Поток всех событий заказов для админки (GET): created, status, refund
+app.get("/api/admin/events", requireScope("orders:read"), validateRequest(ROUTES.adminEvents), (req, res) => {
+  openEventStream(req, res, {
+    bus: orderEvents,
+    heartbeatMs: CONFIG.SSE_HEARTBEAT_MS
+  });
+  
+  console.log(`📡 Админ подключился к потоку событий: ${actorName(req)}`);
+});
+
+// =========== ВЕБ-АДМИНКА ===========
+
+app.use("/admin", express.static(path.join(__dirname, "admin")));
+
+// 46. Вход в админку (POST): { password } → cookie-сессия
+app.post("/api/admin/session", limitByIp, validateRequest(ROUTES.adminLogin), async (req, res) => {
+  try {
+    if (!CONFIG.ADMIN_PASSWORD) {
+      return res.status(503).json({ 
+        success: false,
+        error: "Admin panel is not configured" 
       });
     }
     
-    db.data.orders[orderIndex].status = status;
-    db.data.orders[orderIndex].updated_at = new Date().toISOString();
+    const lockout = await rateLimiters.adminLogins.check(req.ip);
     
-    if (admin_comment) {
-      db.data.orders[orderIndex].admin_comment = admin_comment;
+    if (lockout.limited) {
+      return tooManyRequests(res, lockout.retryAfter, "Too many login attempts");
     }
     
-    if (status === "completed") {
-      db.data.orders[orderIndex].completed_at = new Date().toISOString();
-      console.log(`✅ Заказ ${order_id} завершен`);
-    } else if (status === "rejected") {
-      db.data.orders[orderIndex].rejected_at = new Date().toISOString();
-      console.log(`❌ Заказ ${order_id} отклонен`);
+    if (!safeEqual(hashToken(req.body.password), hashToken(CONFIG.ADMIN_PASSWORD))) {
+      await rateLimiters.adminLogins.hit(req.ip);
+      console.warn(`🚫 Неверный пароль админки: ${req.ip}`);
+      
+      return res.status(401).json({ 
+        success: false,
+        error: "Invalid password" 
+      });
     }
     
-    await db.write();
+    await rateLimiters.adminLogins.reset(req.ip);
+    await purgeAdminSessions();
     
-    res.json({ 
-      success: true, 
-      message: "Статус обновлен",
-      order_id,
-      status 
+    const token = crypto.randomBytes(32).toString("hex");
+    const now = Date.now();
+    
+    const session = await storage.adminSessions.insert({
+      id: hashToken(token),
+      csrf_token: crypto.randomBytes(32).toString("hex"),
+      ip: req.ip,
+      user_agent: req.get("user-agent") || null,
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + CONFIG.ADMIN_SESSION_TTL_MS).toISOString()
     });
     
+    res.cookie(ADMIN_COOKIE, token, { ...adminCookieOptions(), maxAge: CONFIG.ADMIN_SESSION_TTL_MS });
+    console.log(`🔑 Вход в админку: ${req.ip}`);
+    
+    res.json(adminSessionInfo(session));
+    
   } catch (error) {
-    console.error("❌ Ошибка обновления статуса:", error);
+    console.error("❌ Ошибка входа в админку:", error);
     res.status(500).json({ 
       success: false,
       error: "Server error" 
@@ -507,41 +4621,43 @@ app.post("/api/order-status-update", async (req, res) => {
   }
 });
 
-// 8. Список заказов для админа (GET)
-app.get("/api/admin/orders", verifyApiSecret, async (req, res) => {
+// 47. Текущая сессия админки (GET)
+app.get("/api/admin/session", validateRequest(ROUTES.adminSession), async (req, res) => {
   try {
-    const { limit = 50, status } = req.query;
-    
-    await db.read();
+    const session = await adminSession(req);
     
-    let orders = db.data.orders;
-    if (status) {
-      orders = orders.filter(o => o.status === status);
+    if (!session) {
+      return res.status(401).json({ 
+        success: false,
+        error: "Unauthorized" 
+      });
     }
     
-    orders.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-    orders = orders.slice(0, parseInt(limit));
-    
-    const formattedOrders = orders.map(order => ({
-      id: order.id,
-      email: order.email,
-      code: order.code,
-      status: order.status,
-      amount: order.amount || 0,
-      created_at: order.created_at,
-      updated_at: order.updated_at,
-      admin_comment: order.admin_comment
-    }));
+    res.json(adminSessionInfo(session));
     
-    res.json({
-      success: true,
-      orders: formattedOrders,
-      count: formattedOrders.length,
-      total_count: db.data.orders.length
+  } catch (error) {
+    console.error("❌ Ошибка проверки сессии:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
     });
+  }
+});
+
+// 48. Выход из админки (DELETE)
+app.delete("/api/admin/session", validateRequest(ROUTES.adminLogout), async (req, res) => {
+  try {
+    const session = await adminSession(req);
+    
+    if (session) {
+      await storage.adminSessions.remove(session.id);
+    }
+    
+    res.clearCookie(ADMIN_COOKIE, adminCookieOptions());
+    res.json({ success: true });
     
   } catch (error) {
-    console.error("❌ Ошибка получения заказов:", error);
+    console.error("❌ Ошибка выхода из админки:", error);
     res.status(500).json({ 
       success: false,
       error: "Server error" 
@@ -549,160 +4665,98 @@ app.get("/api/admin/orders", verifyApiSecret, async (req, res) => {
   }
 });
 
-// 9. Платежная система
-app.post("/create-payment", async (req, res) => {
+// =========== ПОДАРКИ ===========
+
+// 49. Переназначить подарок (POST): { recipient_email?, message? } — получатель получает новую ссылку,
+// прежняя перестает работать; без recipient_email ссылка уходит прежнему получателю
+app.post("/api/admin/orders/:id/gift", requireScope("orders:write"), validateRequest(ROUTES.adminReassignGift), async (req, res) => {
   try {
-    const { items, method } = req.body;
+    const { id } = req.params;
+    const { recipient_email, message } = req.body;
+    const order = await storage.orders.get(id);
     
-    if (!items || !method) {
-      return res.status(400).json({ 
+    if (!order) {
+      return res.status(404).json({ 
         success: false,
-        error: "Items and method required" 
+        error: "Order not found" 
       });
     }
     
-    if (CONFIG.SHOP_ID === 0 || !CONFIG.BILEE_PASSWORD) {
-      return res.status(500).json({ 
+    if (!order.gift) {
+      return res.status(400).json({ 
         success: false,
-        error: "Payment system not configured" 
+        error: "Order is not a gift" 
       });
     }
     
-    const amountRub = calculateOrderTotal(items);
-    
-    if (amountRub === 0) {
-      return res.status(400).json({ 
+    if (!canReassignGift(order)) {
+      return res.status(409).json({ 
         success: false,
-        error: "Cart total is zero" 
+        error: "Gift can only be reassigned while it awaits the recipient",
+        gift_status: giftStatus(order)
       });
     }
     
-    const order_id = `duck_${Date.now()}`;
-    
-    await db.read();
-    
-    const newOrder = {
-      id: order_id,
-      cart: items,
-      amount: amountRub,
-      status: "created",
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-    
-    db.data.orders.push(newOrder);
-    await db.write();
-    
-    // Генерация подписи для BileePay
-    const generateSignature = (data, password) => {
-      const tokenData = { ...data, password };
-      const excludedKeys = ["metadata", "signature"];
-      
-      const sortedKeys = Object.keys(tokenData)
-        .filter((key) => !excludedKeys.includes(key))
-        .sort();
-      
-      const valuesString = sortedKeys
-        .map((key) => tokenData[key])
-        .join("");
-      
-      const hash = crypto.createHash("sha256");
-      hash.update(valuesString, "utf8");
-      return hash.digest("hex");
-    };
-    
-    const payload = {
-      order_id,
-      method_slug: method,
-      amount: amountRub, 
-      shop_id: CONFIG.SHOP_ID,
-      success_url: `${CONFIG.FRONTEND_URL}/success-pay.html?order=${order_id}`,
-      fail_url: `${CONFIG.FRONTEND_URL}/fail.html`,
-      description: `Заказ #${order_id.substring(0, 8)}`,
-      notify_url: `${CONFIG.SERVER_URL}/bilee-notify`
-    };
-    
-    payload.signature = generateSignature(payload, CONFIG.BILEE_PASSWORD);
+    const updated = await sendGift(order, { recipient_email, message, actor: actorName(req) });
     
-    const response = await axios.post(
-      `${CONFIG.BILEE_API}/payment/init`,
-      payload,
-      { 
-        timeout: 15000,
-        headers: { 'Content-Type': 'application/json' }
-      }
-    );
-    
-    if (response.data && response.data.url) {
-      res.json({
-        success: true,
-        url: response.data.url,
-        order_id,
-        amount: amountRub
+    if (!updated) {
+      return res.status(409).json({ 
+        success: false,
+        error: "Order changed, try again" 
       });
-    } else {
-      throw new Error("Payment gateway error");
     }
     
-  } catch (error) {
-    console.error("❌ Ошибка платежа:", error.message);
+    publishOrderEvent("status", updated);
     
-    res.status(500).json({
-      success: false,
-      error: error.response?.data || error.message
+    res.json({
+      success: true,
+      order: formatAdminOrder(updated, await storage.products.list())
     });
-  }
-});
-
-// 10. Вебхук BileePay
-app.post("/bilee-notify", async (req, res) => {
-  try {
-    const { order_id, status } = req.body;
-    
-    console.log("📦 Вебхук от BileePay:", { order_id, status });
-    
-    if (order_id) {
-      await db.read();
-      const orderIndex = db.data.orders.findIndex(o => o.id === order_id);
-      
-      if (orderIndex !== -1) {
-        db.data.orders[orderIndex].payment_status = status;
-        db.data.orders[orderIndex].updated_at = new Date().toISOString();
-        
-        if (status === 'success') {
-          db.data.orders[orderIndex].paid_at = new Date().toISOString();
-        }
-        
-        await db.write();
-      }
-    }
     
-    res.status(200).json({ success: true });
   } catch (error) {
-    console.error("❌ Ошибка вебхука:", error);
-    res.status(200).json({ success: true });
+    console.error("❌ Ошибка переназначения подарка:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Server error" 
+    });
   }
 });
 
 // =========== СИСТЕМНЫЕ ЭНДПОИНТЫ ===========
 
 // Health check
-app.get("/health", (req, res) => {
+app.get("/health", validateRequest(ROUTES.health), (req, res) => {
   res.json({
     status: "healthy",
     service: "duck-backend",
     time: new Date().toISOString(),
     config: {
       shop_configured: CONFIG.SHOP_ID > 0,
+      payment_providers: paymentProviders.list().filter(p => p.configured).map(p => p.name),
       bot_configured: !!(CONFIG.BOT_URL && CONFIG.API_SECRET),
+      mail_transport: mailer.transport,
+      event_streams: orderEvents.subscribers(),
       api_secret_set: !!CONFIG.API_SECRET
     }
   });
 });
 
+// OpenAPI-документ, собранный из схем маршрутов
+const openApiDocument = buildOpenApiDocument(ROUTES, {
+  title: "Duck Shop Backend",
+  version: "1.0.0",
+  description: MONEY_UNITS,
+  serverUrl: CONFIG.SERVER_URL
+});
+
+app.get("/openapi.json", validateRequest(ROUTES.openapi), (req, res) => {
+  res.json(openApiDocument);
+});
+
 // Главная страница
 app.get("/", async (req, res) => {
-  await db.read();
+  const products = await storage.products.list();
+  const orders = await storage.orders.list();
   
   res.send(`
     <!DOCTYPE html>
@@ -721,22 +4775,19 @@ app.get("/", async (req, res) => {
       
       <div class="info">
         <h3>📊 Статистика:</h3>
-        <p>🛒 Товаров: ${db.data.products.length}</p>
-        <p>📦 Заказов: ${db.data.orders.length}</p>
+        <p>🛒 Товаров: ${products.length}</p>
+        <p>📦 Заказов: ${orders.length}</p>
         <p>🌐 URL: ${CONFIG.SERVER_URL}</p>
         <p>🔐 API: ${CONFIG.API_SECRET ? '✅ Настроен' : '❌ Не настроен'}</p>
         <p>🤖 Бот: ${CONFIG.BOT_URL ? '✅ Подключен' : '❌ Не подключен'}</p>
+        <p>🛠️ Админка: ${CONFIG.ADMIN_PASSWORD ? '<a href="/admin/">/admin</a>' : '❌ ADMIN_PASSWORD не задан'}</p>
       </div>
       
       <div class="info">
         <h3>📡 API Endpoints:</h3>
+        <p>Полное описание: <a href="/openapi.json">/openapi.json</a></p>
         <ul>
-          <li><a href="/api/products">GET /api/products</a> - Список товаров</li>
-          <li>POST /submit-email - Отправить email</li>
-          <li>POST /api/submit-code - Отправить код</li>
-          <li>GET /api/order-status/:id - Статус заказа</li>
-          <li>POST /create-payment - Создать платеж</li>
-          <li><a href="/health">GET /health</a> - Проверка здоровья</li>
+          ${Object.values(ROUTES).map(route => `<li>${route.method.toUpperCase()} ${route.path} - ${route.summary}</li>`).join("\n          ")}
         </ul>
       </div>
     </body>
@@ -748,17 +4799,37 @@ app.get("/", async (req, res) => {
 const startServer = async () => {
   try {
     // Загружаем базу
-    await db.read();
+    await storage.init();
+    
+    // Цены и суммы в минорных единицах
+    await migrateMoneyFields();
+    
+    // Открытые email в журнале промокодов
+    await hashPromoRedemptionEmails();
     
     // Создаем тестовые товары если нужно
-    if (CONFIG.CREATE_TEST_PRODUCTS && db.data.products.length === 0) {
-      db.data.products = [
-        { id: "c30", name: "30 кристаллов", price: 200, img: "https://i.imgur.com/s4K0WIP.png", gift: false },
-        { id: "c80", name: "80 кристаллов", price: 550, img: "https://i.imgur.com/XbnZKDb.png", gift: false }
-      ];
-      await db.write();
-      console.log("✅ Созданы тестовые товары");
-    }
+    await seedTestProducts();
+    
+    // Воркер повторной доставки уведомлений боту
+    botOutbox.start(CONFIG.OUTBOX_INTERVAL_MS);
+    
+    // Воркер повторной отправки писем покупателям
+    emailOutbox.start(CONFIG.OUTBOX_INTERVAL_MS);
+    
+    // Сроки хранения: стирание кодов, обезличивание и перешифровка
+    const retention = () => runRetention().catch(error => console.error('❌ Ошибка задачи хранения:', error.message));
+    retention();
+    setInterval(retention, CONFIG.RETENTION_INTERVAL_MS);
+    
+    // Подарки, которые получатель не активировал вовремя
+    const giftExpiry = () => expireGifts().catch(error => console.error('❌ Ошибка истечения подарков:', error.message));
+    giftExpiry();
+    setInterval(giftExpiry, CONFIG.RETENTION_INTERVAL_MS);
+    
+    // Сверка платежей с шлюзом
+    setInterval(() => {
+      reconcilePayments().catch(error => console.error('❌ Ошибка сверки:', error.message));
+    }, CONFIG.RECONCILE_INTERVAL_MS);
     
     app.listen(PORT, "0.0.0.0", () => {
       console.log(`✅ Сервер запущен на порту ${PORT}`);
@@ -768,9 +4839,14 @@ const startServer = async () => {
       console.log(`🔐 API Secret: ${CONFIG.API_SECRET ? '✅ Установлен' : '❌ Не установлен'}`);
       console.log(`🌐 Server URL: ${CONFIG.SERVER_URL}`);
       console.log(`🌍 Frontend URL: ${CONFIG.FRONTEND_URL}`);
+      console.log(`🗄️ Хранилище: ${storage.driver}`);
+      console.log(`✉️ Почта: ${mailer.transport}`);
+      console.log(`🛠️ Админка: ${CONFIG.ADMIN_PASSWORD ? `${CONFIG.SERVER_URL}/admin/` : '❌ ADMIN_PASSWORD не задан'}`);
+      console.log(`🔒 Шифрование полей: ${fieldCipher.enabled ? `✅ ключ ${fieldCipher.keyId}${CONFIG.ENCRYPT_EMAILS ? ', включая email' : ''}` : '⚠️ КЛЮЧ НЕ ЗАДАН — коды покупателей хранятся открытыми'}`);
       console.log(`🛍️ API товаров: ${CONFIG.SERVER_URL}/api/products`);
       console.log(`📧 Отправка email: ${CONFIG.SERVER_URL}/submit-email`);
       console.log(`💸 Платежный API: ${CONFIG.SERVER_URL}/create-payment`);
+      console.log(`💳 Провайдеры оплаты: ${paymentProviders.list().map(p => `${p.name}${p.configured ? '' : ' (не настроен)'}`).join(", ")}`);
       console.log(`🔄 Уведомления боту: ${CONFIG.BOT_URL && CONFIG.API_SECRET ? '✅ Активны' : '❌ Не активны'}`);
       console.log('====================================');
       console.log('🚀 Сервер готов к работе!');
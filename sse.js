@@ -0,0 +1,79 @@
+// Server-Sent Events: шина событий в памяти и отдача потока клиенту.
+// События нумеруются по возрастанию и хранятся в кольцевом буфере, поэтому
+// переподключившийся клиент получает пропущенное по заголовку Last-Event-ID.
+// Нумерация начинается с времени запуска процесса, так что id после
+// перезапуска больше прежних, а пропуск распознается как разрыв.
+
+export function createEventBus({ bufferSize = 1000 } = {}) {
+  let lastId = Date.now();
+  const buffer = [];
+  const listeners = new Set();
+
+  return {
+    lastId: () => lastId,
+
+    publish(type, data) {
+      const event = { id: ++lastId, type, data };
+
+      buffer.push(event);
+      if (buffer.length > bufferSize) buffer.shift();
+
+      for (const listener of listeners) {
+        listener(event);
+      }
+      return event;
+    },
+
+    // События после lastEventId; null — часть уже вытеснена из буфера или id чужой
+    since(lastEventId, filter = () => true) {
+      const oldest = buffer.length > 0 ? buffer[0].id : lastId + 1;
+      if (lastEventId > lastId || lastEventId < oldest - 1) return null;
+
+      return buffer.filter(event => event.id > lastEventId && filter(event));
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    subscribers: () => listeners.size
+  };
+}
+
+const writeEvent = (res, { id, type, data }) => {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Открывает поток text/event-stream: сначала пропущенные после Last-Event-ID события,
+// а если их не восстановить — начальные из initial(); дальше новые события по подписке.
+// Комментарий-heartbeat не дает прокси закрыть простаивающее соединение.
+export function openEventStream(req, res, { bus, filter = () => true, initial = () => [], heartbeatMs = 15000, retryMs = 3000 }) {
+  res.set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  res.write(`retry: ${retryMs}\n\n`);
+
+  const lastEventId = Number(req.get("last-event-id") ?? req.query.last_event_id);
+  const missed = Number.isSafeInteger(lastEventId) && lastEventId > 0
+    ? bus.since(lastEventId, filter)
+    : null;
+
+  for (const event of missed ?? initial()) {
+    writeEvent(res, event);
+  }
+
+  const unsubscribe = bus.subscribe((event) => {
+    if (filter(event)) writeEvent(res, event);
+  });
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), heartbeatMs);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
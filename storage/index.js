@@ -0,0 +1,64 @@
+import crypto from "crypto";
+import { createLowdbDriver } from './lowdb.js';
+import { createSqliteDriver } from './sqlite.js';
+
+const DRIVERS = {
+  lowdb: createLowdbDriver,
+  sqlite: createSqliteDriver
+};
+
+function collection(driver, name) {
+  return {
+    list: () => driver.list(name),
+    get: (id) => driver.get(name, id),
+    insert: (doc) => driver.insert(name, doc),
+    update: (id, mutate) => driver.update(name, id, mutate),
+    remove: (id) => driver.remove(name, id)
+  };
+}
+
+// Репозиторий поверх выбранного драйвера (STORAGE_DRIVER=lowdb|sqlite).
+// Колбэк update синхронный: он выполняется внутри транзакции драйвера.
+export function createStorage({ driver = "lowdb", jsonFile, sqliteFile, defaults }) {
+  const createDriver = DRIVERS[driver];
+
+  if (!createDriver) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+
+  const backend = createDriver({
+    file: driver === "sqlite" ? sqliteFile : jsonFile,
+    defaults
+  });
+
+  return {
+    driver: backend.name,
+    init: () => backend.init(),
+
+    products: collection(backend, "products"),
+    orders: collection(backend, "orders"),
+    promoCodes: collection(backend, "promo_codes"),
+    botOutbox: collection(backend, "bot_outbox"),
+    emailOutbox: collection(backend, "email_outbox"),
+    apiKeys: collection(backend, "api_keys"),
+    reconciliationReports: collection(backend, "reconciliation_reports"),
+    customerLogins: collection(backend, "customer_logins"),
+    customerSessions: collection(backend, "customer_sessions"),
+    adminSessions: collection(backend, "admin_sessions"),
+
+    webhookAudit: {
+      list: () => backend.list("webhook_audit"),
+      append: (entry) => backend.insert("webhook_audit", { id: crypto.randomUUID(), ...entry })
+    },
+
+    accessAudit: {
+      list: () => backend.list("access_audit"),
+      append: (entry) => backend.insert("access_audit", { id: crypto.randomUUID(), ...entry })
+    },
+
+    settings: {
+      get: () => backend.getDocument("settings"),
+      update: (mutate) => backend.updateDocument("settings", mutate)
+    }
+  };
+}
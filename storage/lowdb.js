@@ -0,0 +1,84 @@
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+
+// Хранилище в одном JSON-файле.
+// Данные читаются с диска один раз при запуске и дальше живут в памяти процесса:
+// изменения применяются синхронно, поэтому два запроса не могут перетереть друг друга.
+export function createLowdbDriver({ file, defaults }) {
+  const db = new Low(new JSONFile(file), structuredClone(defaults));
+
+  const collection = (name) => {
+    db.data[name] ||= [];
+    return db.data[name];
+  };
+
+  return {
+    name: "lowdb",
+
+    async init() {
+      await db.read();
+
+      // Дописываем разделы, которых не было в старых версиях db.json
+      for (const [key, value] of Object.entries(defaults)) {
+        db.data[key] ??= structuredClone(value);
+      }
+    },
+
+    async list(name) {
+      return structuredClone(collection(name));
+    },
+
+    async get(name, id) {
+      const doc = collection(name).find(d => d.id === id);
+      return doc ? structuredClone(doc) : null;
+    },
+
+    // Как и в SQLite, id в коллекции уникален
+    async insert(name, doc) {
+      if (collection(name).some(d => d.id === doc.id)) {
+        throw new Error(`Duplicate id in ${name}: ${doc.id}`);
+      }
+
+      collection(name).push(structuredClone(doc));
+      await db.write();
+      return doc;
+    },
+
+    // mutate получает копию документа; если вернет false — изменения отбрасываются
+    async update(name, id, mutate) {
+      const items = collection(name);
+      const index = items.findIndex(d => d.id === id);
+      if (index === -1) return null;
+
+      const draft = structuredClone(items[index]);
+      if (mutate(draft) === false) return null;
+
+      items[index] = draft;
+      await db.write();
+      return structuredClone(draft);
+    },
+
+    async remove(name, id) {
+      const items = collection(name);
+      const index = items.findIndex(d => d.id === id);
+      if (index === -1) return false;
+
+      items.splice(index, 1);
+      await db.write();
+      return true;
+    },
+
+    async getDocument(name) {
+      return structuredClone(db.data[name] ?? null);
+    },
+
+    async updateDocument(name, mutate) {
+      const draft = structuredClone(db.data[name] ?? {});
+      if (mutate(draft) === false) return null;
+
+      db.data[name] = draft;
+      await db.write();
+      return structuredClone(draft);
+    }
+  };
+}
@@ -0,0 +1,65 @@
+// Перенос данных из db.json (lowdb) в SQLite.
+// Запуск: npm run migrate -- [путь к db.json]
+// Повторный запуск безопасен: записи с уже существующим id пропускаются.
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createSqliteDriver } from './sqlite.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+const jsonFile = path.resolve(process.argv[2] || process.env.DB_FILE || path.join(ROOT, 'db.json'));
+const sqliteFile = path.resolve(process.env.SQLITE_FILE || path.join(ROOT, 'db.sqlite'));
+
+// Старые записи (например, аудит вебхуков) могли не иметь id —
+// берем хеш содержимого, чтобы повторный импорт их не задваивал
+const documentId = (doc) => doc.id ?? crypto.createHash("sha256").update(JSON.stringify(doc)).digest("hex").slice(0, 32);
+
+const migrate = async () => {
+  const data = JSON.parse(await fs.readFile(jsonFile, "utf8"));
+
+  const collections = Object.keys(data).filter(key => Array.isArray(data[key]));
+  const defaults = Object.fromEntries(collections.map(key => [key, []]));
+
+  const driver = createSqliteDriver({ file: sqliteFile, defaults });
+  await driver.init();
+
+  console.log(`📦 Импорт ${jsonFile} → ${sqliteFile}`);
+
+  for (const name of collections) {
+    let imported = 0;
+    let skipped = 0;
+
+    for (const doc of data[name]) {
+      const id = documentId(doc);
+
+      if (await driver.get(name, id)) {
+        skipped++;
+        continue;
+      }
+
+      await driver.insert(name, { ...doc, id });
+      imported++;
+    }
+
+    console.log(`✅ ${name}: импортировано ${imported}, пропущено ${skipped}`);
+  }
+
+  for (const [name, value] of Object.entries(data)) {
+    if (Array.isArray(value) || !value || typeof value !== 'object') continue;
+
+    await driver.updateDocument(name, (doc) => {
+      Object.assign(doc, value);
+    });
+    console.log(`✅ ${name}: обновлено`);
+  }
+
+  console.log('🚀 Миграция завершена');
+};
+
+migrate().catch((error) => {
+  console.error('❌ Ошибка миграции:', error);
+  process.exit(1);
+});
@@ -0,0 +1,98 @@
+// Хранилище в SQLite (better-sqlite3).
+// Каждая коллекция — отдельная таблица (id, data JSON), одиночные документы
+// вроде settings лежат в таблице documents. Обновления выполняются в транзакции.
+const NAME_PATTERN = /^[a-z_]+$/;
+
+export function createSqliteDriver({ file, defaults }) {
+  let db = null;
+  const tables = new Set();
+
+  const table = (name) => {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid collection name: ${name}`);
+    }
+
+    if (!tables.has(name)) {
+      db.exec(`CREATE TABLE IF NOT EXISTS "${name}" (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+      tables.add(name);
+    }
+    return `"${name}"`;
+  };
+
+  const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+  return {
+    name: "sqlite",
+
+    async init() {
+      // Модуль нативный, поэтому подключаем его только при выборе этого драйвера
+      const { default: Database } = await import('better-sqlite3');
+
+      db = new Database(file);
+      db.pragma("journal_mode = WAL");
+      db.pragma("synchronous = NORMAL");
+      db.exec("CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, data TEXT NOT NULL)");
+
+      const insertDocument = db.prepare("INSERT OR IGNORE INTO documents (name, data) VALUES (?, ?)");
+
+      for (const [key, value] of Object.entries(defaults)) {
+        if (Array.isArray(value)) {
+          table(key);
+        } else {
+          insertDocument.run(key, JSON.stringify(value));
+        }
+      }
+    },
+
+    async list(name) {
+      return db.prepare(`SELECT data FROM ${table(name)} ORDER BY rowid`).all().map(parse);
+    },
+
+    async get(name, id) {
+      return parse(db.prepare(`SELECT data FROM ${table(name)} WHERE id = ?`).get(id));
+    },
+
+    async insert(name, doc) {
+      try {
+        db.prepare(`INSERT INTO ${table(name)} (id, data) VALUES (?, ?)`).run(doc.id, JSON.stringify(doc));
+      } catch (error) {
+        if (error.code === "SQLITE_CONSTRAINT_PRIMARYKEY") {
+          throw new Error(`Duplicate id in ${name}: ${doc.id}`);
+        }
+        throw error;
+      }
+      return doc;
+    },
+
+    // mutate получает копию документа; если вернет false — транзакция ничего не меняет
+    async update(name, id, mutate) {
+      const tableName = table(name);
+
+      return db.transaction(() => {
+        const draft = parse(db.prepare(`SELECT data FROM ${tableName} WHERE id = ?`).get(id));
+        if (!draft || mutate(draft) === false) return null;
+
+        db.prepare(`UPDATE ${tableName} SET data = ? WHERE id = ?`).run(JSON.stringify(draft), id);
+        return draft;
+      }).immediate();
+    },
+
+    async remove(name, id) {
+      return db.prepare(`DELETE FROM ${table(name)} WHERE id = ?`).run(id).changes > 0;
+    },
+
+    async getDocument(name) {
+      return parse(db.prepare("SELECT data FROM documents WHERE name = ?").get(name));
+    },
+
+    async updateDocument(name, mutate) {
+      return db.transaction(() => {
+        const draft = parse(db.prepare("SELECT data FROM documents WHERE name = ?").get(name)) ?? {};
+        if (mutate(draft) === false) return null;
+
+        db.prepare("INSERT OR REPLACE INTO documents (name, data) VALUES (?, ?)").run(name, JSON.stringify(draft));
+        return draft;
+      }).immediate();
+    }
+  };
+}
@@ -0,0 +1,106 @@
+// Вебхук оплаты BileePay (/bilee-notify): подпись, shop_id, сумма и повтор.
+// Заказы создаются через тестовый шлюз dev/fake-bilee.js.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { generateSignature } from "../payments/bilee.js";
+import { createOrder, request, startFakeBilee, startServer } from "./helpers.js";
+
+const PASSWORD = "bilee-test-password";
+const SHOP_ID = 1001;
+
+// c30 стоит 200 ₽
+const callback = (orderId, fields = {}) => {
+  const body = { order_id: orderId, status: "success", amount: 200, shop_id: SHOP_ID, ...fields };
+  return { ...body, signature: generateSignature(body, PASSWORD) };
+};
+
+describe("BileePay payment webhook", () => {
+  let gateway;
+  let server;
+
+  before(async () => {
+    gateway = await startFakeBilee({ password: PASSWORD });
+    server = await startServer({
+      SHOP_ID: String(SHOP_ID),
+      BILEE_PASSWORD: PASSWORD,
+      BILEE_API_URL: gateway.apiUrl
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await gateway?.stop();
+  });
+
+  const stored = () => JSON.parse(fs.readFileSync(server.dbFile, "utf8"));
+  const storedOrder = (orderId) => stored().orders.find(order => order.id === orderId);
+
+  // Отклоненные вебхуки записываются в webhook_audit
+  const auditReasons = (orderId) => stored().webhook_audit
+    .filter(entry => entry.order_id === orderId)
+    .map(entry => entry.reason);
+
+  test("valid callback marks the order paid", async () => {
+    const { order_id } = await createOrder(server.url);
+
+    const response = await request(server.url, "POST", "/bilee-notify", { body: callback(order_id) });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { success: true });
+
+    const order = storedOrder(order_id);
+    assert.equal(order.payment_status, "success");
+    assert.equal(order.status, "awaiting_email");
+  });
+
+  test("tampered callback is rejected", async () => {
+    const { order_id } = await createOrder(server.url);
+    const body = { ...callback(order_id), amount: 1 };
+
+    const response = await request(server.url, "POST", "/bilee-notify", { body });
+    assert.equal(response.status, 403);
+    assert.deepEqual(auditReasons(order_id), ["invalid_signature"]);
+
+    const order = storedOrder(order_id);
+    assert.equal(order.payment_status, undefined);
+    assert.equal(order.status, "created");
+  });
+
+  test("replayed callback is acknowledged once", async () => {
+    const { order_id } = await createOrder(server.url);
+    const body = callback(order_id);
+
+    const first = await request(server.url, "POST", "/bilee-notify", { body });
+    const second = await request(server.url, "POST", "/bilee-notify", { body });
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.equal(second.body.duplicate, true);
+    assert.deepEqual(auditReasons(order_id), ["replayed"]);
+
+    const order = storedOrder(order_id);
+    assert.equal(order.history.filter(entry => entry.to === "paid").length, 1);
+  });
+
+  test("callback with a wrong amount is rejected", async () => {
+    const { order_id } = await createOrder(server.url);
+
+    const response = await request(server.url, "POST", "/bilee-notify", { body: callback(order_id, { amount: 150 }) });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "Amount mismatch");
+    assert.deepEqual(auditReasons(order_id), ["amount_mismatch"]);
+
+    const order = storedOrder(order_id);
+    assert.equal(order.payment_status, undefined);
+    assert.equal(order.status, "created");
+  });
+
+  test("callback for another shop is rejected", async () => {
+    const { order_id } = await createOrder(server.url);
+
+    const response = await request(server.url, "POST", "/bilee-notify", { body: callback(order_id, { shop_id: 9999 }) });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "Shop ID mismatch");
+    assert.deepEqual(auditReasons(order_id), ["shop_id_mismatch"]);
+  });
+});
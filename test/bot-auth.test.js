@@ -0,0 +1,69 @@
+// Авторизация бота: только подписанные запросы, сам API_SECRET не пропускает
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminClient, botClient, botSignatureHeaders, request, startServer } from "./helpers.js";
+
+const SECRET = "bot-auth-secret";
+
+describe("bot request signing", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ API_SECRET: SECRET });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test("signed request is accepted once", async () => {
+    const headers = botSignatureHeaders(SECRET, "GET", "/api/admin/orders");
+
+    const first = await request(server.url, "GET", "/api/admin/orders", { headers });
+    const replay = await request(server.url, "GET", "/api/admin/orders", { headers });
+
+    assert.equal(first.status, 200);
+    assert.equal(replay.status, 401);
+  });
+
+  test("raw shared secret is not accepted", async () => {
+    const response = await request(server.url, "GET", "/api/admin/orders", { headers: { "x-api-secret": SECRET } });
+    assert.equal(response.status, 401);
+  });
+
+  test("stale or foreign signatures are rejected", async () => {
+    const stale = botSignatureHeaders(SECRET, "GET", "/api/admin/orders", "", Math.floor(Date.now() / 1000) - 3600);
+    const foreign = botSignatureHeaders("other-secret", "GET", "/api/admin/orders");
+
+    assert.equal((await request(server.url, "GET", "/api/admin/orders", { headers: stale })).status, 401);
+    assert.equal((await request(server.url, "GET", "/api/admin/orders", { headers: foreign })).status, 401);
+  });
+
+  test("bot gets only the bot scopes", async () => {
+    const bot = botClient(server.url, SECRET);
+
+    assert.equal((await bot("GET", "/api/admin/products")).status, 200);
+
+    const keys = await bot("POST", "/api/admin/api-keys", { name: "analytics", scopes: ["orders:read"] });
+    assert.equal(keys.status, 403);
+    assert.equal(keys.body.required_scope, "keys:manage");
+
+    const settings = await bot("PATCH", "/api/admin/settings", { max_cart_total: 5000 });
+    assert.equal(settings.status, 403);
+    assert.equal(settings.body.required_scope, "settings:write");
+  });
+
+  test("malformed admin cookie is unauthorized, not a server error", async () => {
+    const response = await request(server.url, "GET", "/api/admin/orders", { headers: { Cookie: "duck_admin=%E0%A4%A" } });
+    assert.equal(response.status, 401);
+  });
+
+  test("API keys are issued from the admin panel", async () => {
+    const admin = await adminClient(server.url);
+    const created = await admin("POST", "/api/admin/api-keys", { name: "analytics", scopes: ["orders:read"] });
+
+    assert.equal(created.status, 200);
+    const key = await request(server.url, "GET", "/api/admin/orders", { headers: { Authorization: `Bearer ${created.body.key}` } });
+    assert.equal(key.status, 200);
+  });
+});
@@ -0,0 +1,112 @@
+// Очередь уведомлений боту: повторная доставка с backoff и dead-letter.
+// BOT_URL указывает на заглушку, которая отвечает ошибкой заданное число раз.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { once } from "events";
+import { adminClient, createOrder, request, startServer, waitFor } from "./helpers.js";
+
+const MAX_ATTEMPTS = 3;
+const BASE_DELAY_MS = 100;
+
+// order_id → сколько раз ответить 500 перед успехом (Infinity — всегда)
+const failures = new Map();
+const received = [];
+
+const bot = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => body += chunk);
+  req.on("end", () => {
+    const payload = JSON.parse(body);
+    received.push({ payload, key: req.headers["idempotency-key"], at: Date.now() });
+
+    const left = failures.get(payload.order_id) ?? 0;
+    failures.set(payload.order_id, left - 1);
+    res.writeHead(left > 0 ? 500 : 200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ success: left <= 0 }));
+  });
+});
+
+async function submitEmail(server, botFailures) {
+  const order = await createOrder(server.url);
+  failures.set(order.order_id, botFailures);
+
+  await request(server.url, "GET", `/payments/fake/pay/${order.order_id}?result=success`);
+  const response = await request(server.url, "POST", "/submit-email", {
+    body: { order_id: order.order_id, email: "buyer@example.com", token: order.access_token }
+  });
+  assert.equal(response.status, 200);
+
+  return order.order_id;
+}
+
+const attemptsFor = (orderId) => received.filter(entry => entry.payload.order_id === orderId);
+
+describe("bot notification outbox", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    bot.listen(0, "127.0.0.1");
+    await once(bot, "listening");
+
+    server = await startServer({
+      FAKE_PAYMENTS: "true",
+      PAYMENT_PROVIDER: "fake",
+      API_SECRET: "bot-test-secret",
+      BOT_URL: `http://127.0.0.1:${bot.address().port}`,
+      BOT_MAX_ATTEMPTS: String(MAX_ATTEMPTS),
+      OUTBOX_INTERVAL_MS: "50",
+      OUTBOX_BASE_DELAY_MS: String(BASE_DELAY_MS)
+    });
+    admin = await adminClient(server.url);
+  });
+
+  after(async () => {
+    await server?.stop();
+    bot.close();
+  });
+
+  const outboxEntry = async (orderId) => {
+    const { body } = await admin("GET", "/api/admin/outbox");
+    return body.entries.find(entry => entry.payload.order_id === orderId);
+  };
+
+  test("notification is delivered after transient failures", async () => {
+    const orderId = await submitEmail(server, 2);
+
+    const entry = await waitFor(async () => {
+      const current = await outboxEntry(orderId);
+      return current?.status === "delivered" && current;
+    }, { message: "delivery" });
+
+    const attempts = attemptsFor(orderId);
+    assert.equal(entry.attempts, 3);
+    assert.equal(attempts.length, 3);
+    assert.equal(new Set(attempts.map(attempt => attempt.key)).size, 1, "same idempotency key on every attempt");
+    assert.equal(attempts[0].payload.stage, "email_submitted");
+    assert.equal(attempts[0].payload.amount, 200, "bot gets whole units");
+    assert.equal(attempts[0].payload.amount_minor, 20000);
+
+    // Пауза перед повтором удваивается: 100 мс, затем 200 мс
+    assert.ok(attempts[1].at - attempts[0].at >= BASE_DELAY_MS);
+    assert.ok(attempts[2].at - attempts[1].at >= BASE_DELAY_MS * 2);
+  });
+
+  test("notification is dead-lettered after the maximum attempts", async () => {
+    const orderId = await submitEmail(server, Infinity);
+
+    const entry = await waitFor(async () => {
+      const current = await outboxEntry(orderId);
+      return current?.status === "dead" && current;
+    }, { message: "dead-letter" });
+
+    assert.equal(entry.attempts, MAX_ATTEMPTS);
+    assert.ok(entry.dead_at);
+    assert.match(entry.last_error, /500/);
+
+    // После dead-letter попыток больше нет
+    await new Promise(resolve => setTimeout(resolve, BASE_DELAY_MS * 4));
+    assert.equal(attemptsFor(orderId).length, MAX_ATTEMPTS);
+  });
+});
@@ -0,0 +1,39 @@
+// CSV-выгрузки: экранирование по RFC 4180 и защита от формул в таблицах
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, toCsv } from "../csv.js";
+
+test("quotes fields with commas, quotes and line breaks", () => {
+  const csv = toCsv([{ name: 'Duck, "big"', note: "a\nb", price: 100 }], ["name", "note", "price"]);
+  assert.equal(csv, 'name,note,price\r\n"Duck, ""big""","a\nb",100\r\n');
+});
+
+test("neutralizes spreadsheet formulas", () => {
+  const rows = [
+    { email: "=HYPERLINK(\"http://evil\")" },
+    { email: "+1+1" },
+    { email: "-2+3" },
+    { email: "@SUM(A1)" },
+    { email: "\tcmd" },
+    { email: "buyer@example.com" }
+  ];
+  const lines = toCsv(rows, ["email"]).split("\r\n");
+
+  assert.deepEqual(lines.slice(1, -1), [
+    "\"'=HYPERLINK(\"\"http://evil\"\")\"",
+    "'+1+1",
+    "'-2+3",
+    "'@SUM(A1)",
+    "'\tcmd",
+    "buyer@example.com"
+  ]);
+});
+
+test("keeps numbers as numbers", () => {
+  assert.equal(toCsv([{ amount: -500 }], ["amount"]), "amount\r\n-500\r\n");
+});
+
+test("round-trips escaped values through parseCsv", () => {
+  const rows = [{ name: "=cmd", description: "-50% off", id: "c30" }];
+  assert.deepEqual(parseCsv(toCsv(rows, ["id", "name", "description"])), [{ id: "c30", name: "=cmd", description: "-50% off" }]);
+});
@@ -0,0 +1,75 @@
+// Вход в историю заказов по ссылке из письма: письмо идет по шаблону через очередь
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminClient, createOrder, request, startServer, waitFor } from "./helpers.js";
+
+describe("customer magic link", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer({
+      FAKE_PAYMENTS: "true",
+      PAYMENT_PROVIDER: "fake",
+      CUSTOMER_LOGIN_URL: "http://localhost/orders.html",
+      RATE_LIMIT_MAGIC_LINKS_PER_HOUR: "1",
+      OUTBOX_INTERVAL_MS: "100"
+    });
+    admin = await adminClient(server.url);
+
+    const order = await createOrder(server.url);
+    await request(server.url, "GET", `/payments/fake/pay/${order.order_id}?result=success`);
+    await request(server.url, "POST", "/submit-email", {
+      body: { order_id: order.order_id, email: "player@example.com", token: order.access_token }
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test("link is queued in the requested language and opens the order history once", async () => {
+    const login = await request(server.url, "POST", "/api/customer/login", { body: { email: "Player@Example.com", lang: "en" } });
+    assert.equal(login.status, 200);
+
+    // Письмо отправляет воркер очереди, а не сам запрос
+    const token = await waitFor(() => /login=([a-f0-9]{64})/.exec(server.output())?.[1], { message: "magic link email" });
+
+    const { body } = await admin("GET", "/api/admin/outbox?queue=email&status=delivered");
+    const entry = body.entries.find(e => e.payload.template === "magic_link");
+    assert.equal(entry.payload.to, "player@example.com");
+    assert.equal(entry.payload.subject, "Your Duck Shop orders");
+    assert.equal(entry.payload.text, undefined, "link is not shown in the admin outbox");
+
+    const session = await request(server.url, "POST", "/api/customer/session", { body: { token } });
+    assert.equal(session.status, 200);
+
+    const orders = await request(server.url, "GET", "/api/customer/orders", {
+      headers: { "x-customer-session": session.body.session_token }
+    });
+    assert.equal(orders.status, 200);
+    assert.equal(orders.body.orders.length, 1);
+
+    const reused = await request(server.url, "POST", "/api/customer/session", { body: { token } });
+    assert.notEqual(reused.status, 200);
+  });
+
+  test("unknown email gets the same answer and no email", async () => {
+    const login = await request(server.url, "POST", "/api/customer/login", { body: { email: "nobody@example.com" } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.message, "Если на этот email есть заказы, мы отправили ссылку");
+
+    const { body } = await admin("GET", "/api/admin/outbox?queue=email");
+    assert.ok(!body.entries.some(e => e.payload.to === "nobody@example.com"));
+  });
+
+  test("rate limit log does not show the address", async () => {
+    const body = { email: "limited@example.com" };
+    await request(server.url, "POST", "/api/customer/login", { body });
+    const limited = await request(server.url, "POST", "/api/customer/login", { body });
+
+    assert.equal(limited.status, 429);
+    assert.match(server.output(), /magic-links: лимит превышен/);
+    assert.doesNotMatch(server.output(), /limited@example\.com/);
+  });
+});
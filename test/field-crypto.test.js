@@ -0,0 +1,20 @@
+// Шифрование полей: без ключа значения хранятся открытыми, но не молча
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { createFieldCipher, parseKeyRing } from "../field-crypto.js";
+
+test("encrypts with the first key and reports plaintext writes without one", () => {
+  const plaintext = [];
+  const keys = parseKeyRing(`k1:${crypto.randomBytes(32).toString("base64")}`);
+
+  const cipher = createFieldCipher(keys, { onPlaintext: () => plaintext.push(true) });
+  const encrypted = cipher.encrypt("123456");
+  assert.match(encrypted, /^enc:k1:/);
+  assert.equal(cipher.decrypt(encrypted), "123456");
+
+  const disabled = createFieldCipher([], { onPlaintext: () => plaintext.push(true) });
+  assert.equal(disabled.encrypt("123456"), "123456");
+  assert.equal(disabled.encrypt(null), null);
+  assert.equal(plaintext.length, 1);
+});
@@ -0,0 +1,47 @@
+// Подарок: ссылка получателя не видна в очереди писем и не лежит в базе открытой
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import { adminClient, createOrder, request, startServer, waitFor } from "./helpers.js";
+
+describe("gift emails", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer({
+      FAKE_PAYMENTS: "true",
+      PAYMENT_PROVIDER: "fake",
+      FIELD_ENCRYPTION_KEYS: `test:${crypto.randomBytes(32).toString("base64")}`
+    });
+    admin = await adminClient(server.url);
+    assert.equal((await admin("PATCH", "/api/admin/products/c30", { gift: true })).status, 200);
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test("redeem link is hidden from the outbox listing and encrypted at rest", async () => {
+    const order = await createOrder(server.url, {
+      email: "buyer@example.com",
+      lang: "ru",
+      gift: { recipient_email: "friend@example.com" }
+    });
+    await request(server.url, "GET", `/payments/fake/pay/${order.order_id}?result=success`);
+
+    const token = await waitFor(() => /token=([a-f0-9]{64})/.exec(server.output())?.[1], { message: "gift email" });
+
+    const { body } = await admin("GET", "/api/admin/outbox?queue=email");
+    const received = body.entries.find(e => e.payload.template === "gift_received");
+    assert.equal(received.payload.to, "friend@example.com");
+    assert.equal(received.payload.text, undefined);
+    assert.equal(received.payload.html, undefined);
+
+    const sent = body.entries.find(e => e.payload.template === "gift_sent");
+    assert.doesNotMatch(sent.payload.text, /г\.\./);
+
+    assert.ok(!fs.readFileSync(server.dbFile, "utf8").includes(token));
+  });
+});
@@ -0,0 +1,194 @@
+// Общие помощники тестов: сервер и заглушки внешних сервисов запускаются
+// отдельными процессами на свободных портах, база — во временной папке.
+import { spawn } from "child_process";
+import crypto from "crypto";
+import { once } from "events";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+export const ADMIN_PASSWORD = "test-admin-password";
+
+export async function freePort() {
+  const server = net.createServer().listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const { port } = server.address();
+  server.close();
+  await once(server, "close");
+  return port;
+}
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Повторяет check, пока он не вернет истинное значение
+export async function waitFor(check, { timeoutMs = 10000, intervalMs = 50, message = "condition" } = {}) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await sleep(intervalMs);
+  }
+  throw new Error(`Timed out waiting for ${message}`);
+}
+
+// Запускает node-скрипт из корня репозитория и ждет ответа readyUrl
+async function startProcess(script, env, readyUrl) {
+  const child = spawn(process.execPath, [script], {
+    cwd: ROOT,
+    env: { ...process.env, ...env },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  let output = "";
+  child.stdout.on("data", chunk => output += chunk);
+  child.stderr.on("data", chunk => output += chunk);
+
+  const exited = once(child, "exit");
+
+  try {
+    await waitFor(async () => {
+      if (child.exitCode !== null) throw new Error(`${script} exited with ${child.exitCode}:\n${output}`);
+      return fetch(readyUrl).then(() => true, () => false);
+    }, { message: `${script} to start` });
+  } catch (error) {
+    child.kill();
+    throw error;
+  }
+
+  return {
+    output: () => output,
+    async stop() {
+      if (child.exitCode === null) child.kill();
+      await exited;
+    }
+  };
+}
+
+// Сервер с пустой базой или с seed — содержимым db.json, записанным до запуска.
+// По умолчанию включены тестовые товары и веб-админка
+export async function startServer(env = {}, { seed } = {}) {
+  const port = await freePort();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "duck-test-"));
+  const url = `http://127.0.0.1:${port}`;
+  const dbFile = path.join(dir, "db.json");
+
+  if (seed) {
+    fs.writeFileSync(dbFile, JSON.stringify(seed));
+  }
+
+  const proc = await startProcess("server.js", {
+    PORT: String(port),
+    SERVER_URL: url,
+    FRONTEND_URL: "http://localhost",
+    DB_FILE: dbFile,
+    STORAGE_DRIVER: "lowdb",
+    CREATE_TEST_PRODUCTS: "true",
+    ADMIN_PASSWORD,
+    BOT_URL: "",
+    ...env
+  }, `${url}/health`).catch(error => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw error;
+  });
+
+  return {
+    url,
+    dbFile,
+    output: proc.output,
+    async stop() {
+      await proc.stop();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Тестовый шлюз BileePay из dev/fake-bilee.js
+export async function startFakeBilee({ password, delayMs = 50 }) {
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+
+  const proc = await startProcess("dev/fake-bilee.js", {
+    FAKE_BILEE_PORT: String(port),
+    BILEE_PASSWORD: password,
+    FAKE_BILEE_DELAY_MS: String(delayMs)
+  }, `${url}/pay/none`);
+
+  return { url, apiUrl: `${url}/api`, ...proc };
+}
+
+// JSON-запрос: { status, body, headers }
+export async function request(baseUrl, method, requestPath, { body, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${requestPath}`, {
+    method,
+    redirect: "manual",
+    headers: body === undefined ? headers : { "Content-Type": "application/json", ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const text = await response.text();
+  let data = text;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // не JSON — страница оплаты или редирект
+  }
+
+  return { status: response.status, body: data, headers: response.headers };
+}
+
+// Клиент с cookie-сессией веб-админки; изменяющие запросы несут CSRF-токен
+export async function adminClient(baseUrl, password = ADMIN_PASSWORD) {
+  const login = await request(baseUrl, "POST", "/api/admin/session", { body: { password } });
+
+  if (login.status !== 200) {
+    throw new Error(`Admin login failed: ${login.status} ${JSON.stringify(login.body)}`);
+  }
+
+  const cookie = login.headers.get("set-cookie").split(";")[0];
+  const { csrf_token } = login.body;
+
+  return (method, requestPath, body) => request(baseUrl, method, requestPath, {
+    body,
+    headers: { Cookie: cookie, "x-csrf-token": csrf_token }
+  });
+}
+
+// Подпись бота: HMAC-SHA256 от `${timestamp}.${METHOD}.${path}.${body}` (см. checkBotSignature)
+export function botSignatureHeaders(secret, method, requestPath, body = "", timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${method}.${requestPath}.${body}`, "utf8")
+    .digest("hex");
+
+  return { "X-Duck-Timestamp": String(timestamp), "X-Duck-Signature": `v1=${signature}` };
+}
+
+// Клиент, подписывающий каждый запрос как бот
+export function botClient(baseUrl, secret) {
+  return (method, requestPath, body) => request(baseUrl, method, requestPath, {
+    body,
+    headers: botSignatureHeaders(secret, method, requestPath, body === undefined ? "" : JSON.stringify(body))
+  });
+}
+
+// Оформляет заказ; возвращает ответ /create-payment
+export async function createOrder(baseUrl, body) {
+  const response = await request(baseUrl, "POST", "/create-payment", {
+    body: { items: { c30: 1 }, method: "card", ...body }
+  });
+
+  if (response.status !== 200) {
+    throw new Error(`create-payment failed: ${response.status} ${JSON.stringify(response.body)}`);
+  }
+  return response.body;
+}
+
+export async function getOrder(admin, orderId) {
+  const response = await admin("GET", `/api/admin/orders/${orderId}`);
+  return response.body.order;
+}
@@ -0,0 +1,86 @@
+// Суммы: старая база переводится в минорные единицы один раз, витрина и бот получают целые единицы
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { adminClient, createOrder, getOrder, request, startServer } from "./helpers.js";
+
+const legacy = {
+  products: [{ id: "old", name: "Old duck", price: 150, image: "https://example.com/duck.png", gift: false }],
+  orders: [{
+    id: "duck_1",
+    cart: { old: 2 },
+    amount: 300,
+    subtotal: 300,
+    discount: 0,
+    refunded_amount: 100,
+    lines: [{ product_id: "old", name: "Old duck", price: 150, quantity: 2, total: 300 }],
+    refunds: [{ id: "r1", amount: 100, status: "succeeded" }],
+    status: "completed",
+    created_at: "2025-01-01T00:00:00.000Z"
+  }]
+};
+
+const storedMoney = (dbFile) => {
+  const { products, orders } = JSON.parse(fs.readFileSync(dbFile, "utf8"));
+  return { products, orders };
+};
+
+test("legacy prices and amounts are migrated to minor units once", async () => {
+  const env = { CREATE_TEST_PRODUCTS: "false" };
+  const first = await startServer(env, { seed: legacy });
+  let migrated;
+
+  try {
+    assert.match(first.output(), /Суммы переведены в минорные единицы: товаров 1, заказов 1/);
+
+    const admin = await adminClient(first.url);
+    const { body } = await admin("GET", "/api/admin/products");
+    const product = body.products.find(p => p.id === "old");
+    assert.deepEqual(product.prices, { RUB: 15000 });
+    assert.equal(product.price, undefined);
+
+    const order = await getOrder(admin, "duck_1");
+    assert.equal(order.amount, 30000);
+    assert.equal(order.refunded_amount, 10000);
+    assert.equal(order.currency, "RUB");
+
+    migrated = storedMoney(first.dbFile);
+    assert.deepEqual(migrated.orders[0].lines[0], { product_id: "old", name: "Old duck", price: 15000, quantity: 2, total: 30000 });
+    assert.equal(migrated.orders[0].refunds[0].amount, 10000);
+  } finally {
+    await first.stop();
+  }
+
+  const second = await startServer(env, { seed: migrated });
+
+  try {
+    assert.doesNotMatch(second.output(), /Суммы переведены/);
+    assert.deepEqual(storedMoney(second.dbFile), migrated);
+  } finally {
+    await second.stop();
+  }
+});
+
+test("storefront amounts stay in whole units with exact *_minor fields", async () => {
+  const server = await startServer({ FAKE_PAYMENTS: "true", PAYMENT_PROVIDER: "fake" });
+
+  try {
+    const catalog = await request(server.url, "GET", "/api/products");
+    const product = catalog.body.products.find(p => p.id === "c30");
+    assert.equal(product.price, 200);
+    assert.equal(product.price_minor, 20000);
+    assert.equal(catalog.body.max_cart_total_minor, catalog.body.max_cart_total * 100);
+
+    const payment = await createOrder(server.url, { items: { c30: 2 } });
+    assert.equal(payment.amount, 400);
+    assert.equal(payment.amount_minor, 40000);
+
+    const status = await request(server.url, "GET", `/api/order-status/${payment.order_id}`, {
+      headers: { "x-order-token": payment.access_token }
+    });
+    assert.equal(status.body.amount, 400);
+    assert.equal(status.body.amount_minor, 40000);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,54 @@
+// Доступ к заказу по токену: несуществующий заказ неотличим от чужого
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createOrder, request, startServer } from "./helpers.js";
+
+describe("order access", () => {
+  let server;
+  let order;
+
+  before(async () => {
+    server = await startServer({ FAKE_PAYMENTS: "true", PAYMENT_PROVIDER: "fake" });
+    order = await createOrder(server.url);
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  const tokenHeader = (token) => ({ headers: { "x-order-token": token } });
+
+  test("order status needs the order token", async () => {
+    const ok = await request(server.url, "GET", `/api/order-status/${order.order_id}`, tokenHeader(order.access_token));
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.status, "created");
+
+    const wrongToken = await request(server.url, "GET", `/api/order-status/${order.order_id}`, tokenHeader("0".repeat(64)));
+    const missing = await request(server.url, "GET", "/api/order-status/duck_1", tokenHeader("0".repeat(64)));
+
+    assert.equal(wrongToken.status, 403);
+    assert.equal(missing.status, 403);
+    assert.deepEqual(missing.body, wrongToken.body);
+  });
+
+  // Токен в query оседает в логах прокси: его принимает только поток SSE
+  test("token in the query string is accepted only by the event stream", async () => {
+    const status = await request(server.url, "GET", `/api/order-status/${order.order_id}?token=${order.access_token}`);
+    assert.equal(status.status, 403);
+
+    const controller = new AbortController();
+    const stream = await fetch(`${server.url}/api/order-status/${order.order_id}/stream?token=${order.access_token}`, { signal: controller.signal });
+    assert.equal(stream.status, 200);
+    assert.match(stream.headers.get("content-type"), /text\/event-stream/);
+    controller.abort();
+  });
+
+  test("submitting to a missing order looks like a wrong token", async () => {
+    const body = { order_id: "duck_1", email: "buyer@example.com", token: "0".repeat(64) };
+    const missing = await request(server.url, "POST", "/submit-email", { body });
+    const wrongToken = await request(server.url, "POST", "/submit-email", { body: { ...body, order_id: order.order_id } });
+
+    assert.equal(missing.status, 403);
+    assert.deepEqual(missing.body, wrongToken.body);
+  });
+});
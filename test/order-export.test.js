@@ -0,0 +1,71 @@
+// Выгрузка заказов: по умолчанию email замаскированы, открытые данные — только со scope orders:sensitive
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminClient, createOrder, request, startServer } from "./helpers.js";
+
+describe("order export", () => {
+  let server;
+  let admin;
+  let order;
+
+  before(async () => {
+    server = await startServer({ FAKE_PAYMENTS: "true", PAYMENT_PROVIDER: "fake" });
+    admin = await adminClient(server.url);
+    order = await createOrder(server.url);
+
+    await request(server.url, "GET", `/payments/fake/pay/${order.order_id}?result=success`);
+    const email = await request(server.url, "POST", "/submit-email", {
+      body: { order_id: order.order_id, email: "buyer@example.com", token: order.access_token }
+    });
+    assert.equal(email.status, 200);
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  // Тело выгрузки — текст: NDJSON из одной строки не должен разбираться как JSON
+  const exportOrders = async (query, headers) => {
+    const response = await fetch(`${server.url}/api/admin/export/orders?${query}`, { headers });
+    return { status: response.status, text: await response.text() };
+  };
+
+  const exportedOrder = (text) => text.trim().split("\n")
+    .map(line => JSON.parse(line))
+    .find(row => row.id === order.order_id);
+
+  const issueKey = async (scopes) => {
+    const created = await admin("POST", "/api/admin/api-keys", { name: `export-${scopes.join("-")}`, scopes });
+    assert.equal(created.status, 200);
+    return { Authorization: `Bearer ${created.body.key}` };
+  };
+
+  test("masks emails by default", async () => {
+    const headers = await issueKey(["orders:read"]);
+
+    const ndjson = await exportOrders("format=ndjson", headers);
+    assert.equal(ndjson.status, 200);
+    assert.equal(exportedOrder(ndjson.text).email, "b****@example.com");
+
+    const csv = await exportOrders("format=csv", headers);
+    assert.equal(csv.status, 200);
+    assert.ok(!csv.text.includes("buyer@example.com"));
+  });
+
+  test("sensitive export needs orders:sensitive", async () => {
+    const headers = await issueKey(["orders:read"]);
+    const denied = await request(server.url, "GET", "/api/admin/export/orders?format=ndjson&include_sensitive=true", { headers });
+
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.required_scope, "orders:sensitive");
+  });
+
+  test("sensitive export is logged with the actor", async () => {
+    const headers = await issueKey(["orders:read", "orders:sensitive"]);
+    const allowed = await exportOrders("format=ndjson&include_sensitive=true", headers);
+
+    assert.equal(allowed.status, 200);
+    assert.equal(exportedOrder(allowed.text).email, "buyer@example.com");
+    assert.match(server.output(), /открытые данные \(key:export-orders:read-orders:sensitive\)/);
+  });
+});
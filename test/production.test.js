@@ -0,0 +1,46 @@
+// NODE_ENV=production: сервер не запускается с настройками только для разработки
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { startServer } from "./helpers.js";
+
+const PRODUCTION = {
+  NODE_ENV: "production",
+  MAIL_TRANSPORT: "smtp",
+  SMTP_HOST: "127.0.0.1",
+  FIELD_ENCRYPTION_KEYS: `test:${crypto.randomBytes(32).toString("base64")}`,
+  EMAIL_HASH_KEY: "test-email-hash-key"
+};
+
+test("starts with production settings", async () => {
+  const server = await startServer(PRODUCTION);
+  await server.stop();
+});
+
+test("refuses the fake payment provider", async () => {
+  await assert.rejects(
+    startServer({ ...PRODUCTION, FAKE_PAYMENTS: "true" }),
+    /FAKE_PAYMENTS must not be enabled in production/
+  );
+});
+
+test("refuses to send mail to the console", async () => {
+  await assert.rejects(
+    startServer({ ...PRODUCTION, MAIL_TRANSPORT: "console" }),
+    /MAIL_TRANSPORT=smtp is required in production/
+  );
+});
+
+test("refuses to store codes without an encryption key", async () => {
+  await assert.rejects(
+    startServer({ ...PRODUCTION, FIELD_ENCRYPTION_KEYS: "" }),
+    /FIELD_ENCRYPTION_KEYS is required in production/
+  );
+});
+
+test("refuses to keep promo code emails without a hash key", async () => {
+  await assert.rejects(
+    startServer({ ...PRODUCTION, EMAIL_HASH_KEY: "" }),
+    /EMAIL_HASH_KEY is required in production/
+  );
+});
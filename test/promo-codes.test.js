@@ -0,0 +1,94 @@
+// Промокоды: лимит на email не обходится регистром, использование засчитывается после оплаты
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminClient, createOrder, request, startServer } from "./helpers.js";
+
+describe("promo codes", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer({ FAKE_PAYMENTS: "true", PAYMENT_PROVIDER: "fake" });
+    admin = await adminClient(server.url);
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  const promo = async (code) => {
+    const { body } = await admin("GET", "/api/admin/promo-codes");
+    return body.promo_codes.find(p => p.id === code);
+  };
+
+  const pay = (order) => request(server.url, "GET", `/payments/fake/pay/${order.order_id}?result=success`);
+
+  test("per-email limit ignores the case of the address", async () => {
+    const created = await admin("POST", "/api/admin/promo-codes", { code: "ONCE", type: "percent", value: 10, max_uses_per_email: 1 });
+    assert.equal(created.status, 200);
+
+    const order = await createOrder(server.url, { promo_code: "ONCE", email: "buyer@example.com" });
+    await pay(order);
+    const once = await promo("ONCE");
+    assert.equal(once.uses, 1);
+    assert.match(once.redemptions[0].email_hash, /^[a-f0-9]{64}$/);
+    assert.ok(!JSON.stringify(once.redemptions).includes("buyer@"), "email is not stored in the promo code");
+
+    const again = await request(server.url, "POST", "/create-payment", {
+      body: { items: { c30: 1 }, method: "card", promo_code: "ONCE", email: "Buyer@Example.com" }
+    });
+    assert.equal(again.status, 400);
+    assert.equal(again.body.error, "Promo code already used with this email");
+  });
+
+  test("max_uses counts paid orders, including ones created before the limit was reached", async () => {
+    const created = await admin("POST", "/api/admin/promo-codes", { code: "LIMITED", type: "percent", value: 10, max_uses: 1 });
+    assert.equal(created.status, 200);
+
+    const first = await createOrder(server.url, { promo_code: "LIMITED" });
+    const second = await createOrder(server.url, { promo_code: "LIMITED" });
+    assert.equal((await promo("LIMITED")).uses || 0, 0);
+
+    await pay(first);
+    await pay(second);
+
+    // Лимит проверяется при создании заказа: оба уже оплачены, поэтому засчитаны оба
+    assert.equal((await promo("LIMITED")).uses, 2);
+    assert.match(server.output(), /Промокод LIMITED использован 2 раз при лимите 1/);
+
+    const third = await request(server.url, "POST", "/create-payment", {
+      body: { items: { c30: 1 }, method: "card", promo_code: "LIMITED" }
+    });
+    assert.equal(third.body.error, "Promo code usage limit reached");
+  });
+});
+
+test("plaintext emails in old promo code redemptions are replaced with hashes", async () => {
+  const server = await startServer({ FAKE_PAYMENTS: "true", PAYMENT_PROVIDER: "fake" }, {
+    seed: {
+      promo_codes: [{
+        id: "OLD",
+        type: "percent",
+        value: 10,
+        max_uses_per_email: 1,
+        uses: 1,
+        redemptions: [{ order_id: "duck_1", email: "Buyer@Example.com", discount: 20, at: "2025-01-01T00:00:00.000Z" }]
+      }]
+    }
+  });
+
+  try {
+    const admin = await adminClient(server.url);
+    const { body } = await admin("GET", "/api/admin/promo-codes");
+    const [redemption] = body.promo_codes.find(p => p.id === "OLD").redemptions;
+    assert.equal(redemption.email, undefined);
+    assert.match(redemption.email_hash, /^[a-f0-9]{64}$/);
+
+    const again = await request(server.url, "POST", "/create-payment", {
+      body: { items: { c30: 1 }, method: "card", promo_code: "OLD", email: "buyer@example.com" }
+    });
+    assert.equal(again.body.error, "Promo code already used with this email");
+  } finally {
+    await server.stop();
+  }
+});
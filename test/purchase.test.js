@@ -0,0 +1,77 @@
+// Полный путь покупки на тестовом провайдере (FAKE_PAYMENTS): оформление,
+// вебхук со страницы оплаты, списание остатков, email и код покупателя.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { adminClient, createOrder, getOrder, request, startServer } from "./helpers.js";
+
+describe("purchase with the fake payment provider", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer({ FAKE_PAYMENTS: "true", PAYMENT_PROVIDER: "fake" });
+    admin = await adminClient(server.url);
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  const stockOf = async (id) => {
+    const { body } = await admin("GET", "/api/admin/products");
+    return body.products.find(product => product.id === id).stock;
+  };
+
+  test("paid order decrements stock and goes through email and code", async () => {
+    assert.equal((await admin("PATCH", "/api/admin/products/c30", { stock: 5 })).status, 200);
+
+    const payment = await createOrder(server.url, { items: { c30: 2 }, email: "buyer@example.com" });
+    assert.equal(payment.amount, 400);
+    assert.equal(payment.amount_minor, 40000);
+    assert.equal(payment.url, `${server.url}/payments/fake/pay/${payment.order_id}`);
+
+    // Кнопка «Оплатить» шлет подписанный вебхук и перенаправляет на success_url
+    const page = await request(server.url, "GET", `/payments/fake/pay/${payment.order_id}?result=success`);
+    assert.equal(page.status, 302);
+    assert.match(page.headers.get("location"), /success-pay\.html/);
+
+    let order = await getOrder(admin, payment.order_id);
+    assert.equal(order.payment.provider, "fake");
+    assert.equal(order.payment.status, "success");
+    assert.equal(order.status, "awaiting_email");
+    assert.equal(await stockOf("c30"), 3);
+
+    const token = payment.access_token;
+    const email = await request(server.url, "POST", "/submit-email", {
+      body: { order_id: payment.order_id, email: "player@example.com", token }
+    });
+    assert.equal(email.status, 200);
+
+    const code = await request(server.url, "POST", "/api/submit-code", {
+      body: { order_id: payment.order_id, email: "player@example.com", code: "123456", token }
+    });
+    assert.equal(code.status, 200);
+
+    order = await getOrder(admin, payment.order_id);
+    assert.equal(order.status, "in_progress");
+    assert.deepEqual(order.history.map(entry => entry.to), ["created", "paid", "awaiting_email", "awaiting_code", "in_progress"]);
+  });
+
+  test("declined payment leaves the order unpaid and stock untouched", async () => {
+    const before = await stockOf("c30");
+    const payment = await createOrder(server.url, { items: { c30: 1 } });
+
+    const page = await request(server.url, "GET", `/payments/fake/pay/${payment.order_id}?result=fail`);
+    assert.equal(page.status, 302);
+
+    const order = await getOrder(admin, payment.order_id);
+    assert.equal(order.payment.status, "fail");
+    assert.equal(order.status, "created");
+    assert.equal(await stockOf("c30"), before);
+
+    const email = await request(server.url, "POST", "/submit-email", {
+      body: { order_id: payment.order_id, email: "player@example.com", token: payment.access_token }
+    });
+    assert.equal(email.status, 409);
+  });
+});
@@ -0,0 +1,44 @@
+// Лимит отправок по заказу: чужие запросы с неверным токеном не блокируют покупателя
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createOrder, request, startServer } from "./helpers.js";
+
+describe("order submit rate limit", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ FAKE_PAYMENTS: "true", PAYMENT_PROVIDER: "fake", RATE_LIMIT_ORDER_SUBMITS: "2" });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test("wrong-token attempts do not count against the order", async () => {
+    const order = await createOrder(server.url);
+    await request(server.url, "GET", `/payments/fake/pay/${order.order_id}?result=success`);
+
+    for (let i = 0; i < 5; i++) {
+      const forged = await request(server.url, "POST", "/submit-email", {
+        body: { order_id: order.order_id, email: "attacker@example.com", token: "0".repeat(64) }
+      });
+      assert.equal(forged.status, 403);
+    }
+
+    const owner = await request(server.url, "POST", "/submit-email", {
+      body: { order_id: order.order_id, email: "buyer@example.com", token: order.access_token }
+    });
+    assert.equal(owner.status, 200);
+  });
+
+  test("the owner is still limited", async () => {
+    const order = await createOrder(server.url);
+    const body = { order_id: order.order_id, email: "buyer@example.com", token: order.access_token };
+
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await request(server.url, "POST", "/submit-email", { body })).status);
+    }
+    assert.deepEqual(statuses, [409, 409, 429]);
+  });
+});
@@ -0,0 +1,140 @@
+// Возвраты через тестовый шлюз dev/fake-bilee.js: итог приходит подписанным вебхуком.
+// Шлюз отклоняет возврат, сумма которого оканчивается на 13.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { generateSignature } from "../payments/bilee.js";
+import { adminClient, createOrder, getOrder, request, startFakeBilee, startServer, waitFor } from "./helpers.js";
+
+const PASSWORD = "bilee-refund-password";
+const SHOP_ID = 1002;
+
+describe("refunds", () => {
+  let gateway;
+  let server;
+  let admin;
+
+  before(async () => {
+    gateway = await startFakeBilee({ password: PASSWORD, delayMs: 50 });
+    server = await startServer({
+      PAYMENT_PROVIDER: "bilee",
+      SHOP_ID: String(SHOP_ID),
+      BILEE_PASSWORD: PASSWORD,
+      BILEE_API_URL: gateway.apiUrl
+    });
+    admin = await adminClient(server.url);
+  });
+
+  after(async () => {
+    await server?.stop();
+    await gateway?.stop();
+  });
+
+  // Заказ c30 на 20000 копеек, оплаченный через страницу тестового шлюза
+  async function paidOrder() {
+    const { order_id, url } = await createOrder(server.url);
+    await fetch(url, { redirect: "manual" });
+
+    await waitFor(async () => (await getOrder(admin, order_id)).payment.status === "success", { message: "payment" });
+    return order_id;
+  }
+
+  const refund = (orderId, body = {}) => admin("POST", `/api/admin/orders/${orderId}/refund`, body);
+
+  async function settledRefund(orderId, refundId) {
+    return waitFor(async () => {
+      const order = await getOrder(admin, orderId);
+      const result = order.refunds.find(r => r.id === refundId);
+      return result.status !== "pending" && { order, refund: result };
+    }, { message: `refund ${refundId}` });
+  }
+
+  test("full refund moves the order to refunded", async () => {
+    const orderId = await paidOrder();
+
+    const response = await refund(orderId, { reason: "Customer request" });
+    assert.equal(response.status, 202);
+    assert.equal(response.body.refund.status, "pending");
+    assert.equal(response.body.refund.amount, 20000);
+    assert.equal(response.body.refundable_amount, 0);
+
+    const { order, refund: result } = await settledRefund(orderId, response.body.refund.id);
+    assert.equal(result.status, "succeeded");
+    assert.equal(order.refunded_amount, 20000);
+    assert.equal(order.status, "refunded");
+  });
+
+  test("partial refunds add up to a full refund", async () => {
+    const orderId = await paidOrder();
+
+    const first = await refund(orderId, { amount: 5000 });
+    assert.equal(first.status, 202);
+    assert.equal(first.body.refundable_amount, 15000);
+
+    let { order } = await settledRefund(orderId, first.body.refund.id);
+    assert.equal(order.refunded_amount, 5000);
+    assert.equal(order.status, "awaiting_email");
+
+    const second = await refund(orderId, { amount: 15000 });
+    assert.equal(second.status, 202);
+
+    ({ order } = await settledRefund(orderId, second.body.refund.id));
+    assert.equal(order.refunded_amount, 20000);
+    assert.equal(order.status, "refunded");
+  });
+
+  test("repeated refund and replayed webhook change nothing", async () => {
+    const orderId = await paidOrder();
+
+    const first = await refund(orderId);
+    const { order } = await settledRefund(orderId, first.body.refund.id);
+
+    const again = await refund(orderId);
+    assert.equal(again.status, 400);
+    assert.equal(again.body.refundable_amount, 0);
+
+    const callback = { order_id: orderId, refund_id: first.body.refund.id, status: "success", amount: 200, shop_id: SHOP_ID };
+    const replay = await request(server.url, "POST", "/bilee-notify", {
+      body: { ...callback, signature: generateSignature(callback, PASSWORD) }
+    });
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.duplicate, true);
+
+    const after = await getOrder(admin, orderId);
+    assert.equal(after.refunds.length, 1);
+    assert.equal(after.refunded_amount, order.refunded_amount);
+    assert.equal(after.history.length, order.history.length);
+  });
+
+  test("refund rejected by the gateway is released", async () => {
+    const orderId = await paidOrder();
+
+    // 10,13 ₽ — шлюз отвечает fail
+    const response = await refund(orderId, { amount: 1013 });
+    assert.equal(response.status, 202);
+
+    const { order, refund: result } = await settledRefund(orderId, response.body.refund.id);
+    assert.equal(result.status, "failed");
+    assert.equal(result.error, "fail");
+    assert.equal(order.refunded_amount, 0);
+    assert.equal(order.status, "awaiting_email");
+
+    // Неудачный возврат не занимает сумму
+    const retry = await refund(orderId, { amount: 20000 });
+    assert.equal(retry.status, 202);
+  });
+
+  test("refund above the remaining amount is rejected", async () => {
+    const orderId = await paidOrder();
+
+    const partial = await refund(orderId, { amount: 15000 });
+    assert.equal(partial.status, 202);
+
+    const tooMuch = await refund(orderId, { amount: 6000 });
+    assert.equal(tooMuch.status, 400);
+    assert.equal(tooMuch.body.error, "Invalid refund amount");
+    assert.equal(tooMuch.body.refundable_amount, 5000);
+
+    const order = await getOrder(admin, orderId);
+    assert.equal(order.refunds.length, 1);
+  });
+});
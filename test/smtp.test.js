@@ -0,0 +1,143 @@
+// SMTP-транспорт против локальной заглушки SMTP-сервера
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { once } from "events";
+import { createSmtpTransport, smtpData } from "../mailer/smtp.js";
+
+const message = {
+  from: "Duck Shop <noreply@duck.shop>",
+  to: "buyer@example.com",
+  subject: "Test",
+  text: "Hello"
+};
+
+// Заглушка: greeting — строки приветствия, startTls — объявить STARTTLS
+// (и отказать на саму команду). DATA разбирается по RFC 5321:
+// «..» в начале строки превращается обратно в «.»
+async function startSmtpStub({ greeting = ["220 stub ready"], startTls = false } = {}) {
+  const sessions = [];
+
+  const server = net.createServer((socket) => {
+    const session = { commands: [], data: null };
+    sessions.push(session);
+
+    let buffer = "";
+    let dataLines = null;
+    socket.write(greeting.map(line => `${line}\r\n`).join(""));
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+
+      let index;
+      while ((index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (dataLines) {
+          if (line === ".") {
+            session.data = dataLines.join("\r\n");
+            dataLines = null;
+            socket.write("250 queued\r\n");
+          } else {
+            dataLines.push(line.startsWith(".") ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        session.commands.push(line);
+        const verb = line.split(" ")[0].toUpperCase();
+
+        if (verb === "EHLO") {
+          socket.write(`250-stub\r\n${startTls ? "250-STARTTLS\r\n" : ""}250 AUTH PLAIN\r\n`);
+        } else if (verb === "STARTTLS") {
+          socket.write("454 TLS not available\r\n");
+        } else if (verb === "AUTH") {
+          socket.write("235 Authenticated\r\n");
+        } else if (verb === "MAIL" || verb === "RCPT") {
+          socket.write("250 ok\r\n");
+        } else if (verb === "DATA") {
+          dataLines = [];
+          socket.write("354 go ahead\r\n");
+        } else if (verb === "QUIT") {
+          socket.end("221 bye\r\n");
+        } else {
+          socket.write("500 unknown command\r\n");
+        }
+      }
+    });
+    socket.on("error", () => {});
+  });
+
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  return {
+    sessions,
+    transport: (options = {}) => createSmtpTransport({ host: "127.0.0.1", port: server.address().port, timeoutMs: 2000, ...options }),
+    close: () => server.close()
+  };
+}
+
+// Текстовая часть письма из DATA: тело закодировано в base64
+function decodeText(data) {
+  const [, body] = data.split("\r\n\r\n");
+  return Buffer.from(body.replace(/\r\n/g, ""), "base64").toString("utf8");
+}
+
+describe("SMTP transport", () => {
+  const stubs = [];
+  const stub = async (options) => {
+    const created = await startSmtpStub(options);
+    stubs.push(created);
+    return created;
+  };
+
+  after(() => {
+    for (const created of stubs) created.close();
+  });
+
+  test("delivers after a multiline greeting", async () => {
+    const server = await stub({ greeting: ["220-stub.local ESMTP", "220 ready"] });
+    await server.transport().send(message);
+
+    const [session] = server.sessions;
+    assert.match(session.commands[0], /^EHLO /);
+    assert.deepEqual(session.commands.slice(1), ["MAIL FROM:<noreply@duck.shop>", "RCPT TO:<buyer@example.com>", "DATA", "QUIT"]);
+    assert.equal(decodeText(session.data), "Hello");
+  });
+
+  test("rejects a server that does not greet with 220", async () => {
+    const server = await stub({ greeting: ["554 no service here"] });
+    await assert.rejects(server.transport().send(message), /SMTP greeting: 554 no service here/);
+  });
+
+  test("fails when the server refuses STARTTLS", async () => {
+    const server = await stub({ startTls: true });
+    await assert.rejects(server.transport().send(message), /SMTP STARTTLS: 454/);
+    assert.ok(!server.sessions[0].commands.some(command => command.startsWith("MAIL")), "nothing is sent over plain text");
+  });
+
+  test("refuses to log in over plain text", async () => {
+    const server = await stub();
+    await assert.rejects(server.transport({ user: "shop", password: "secret" }).send(message), /refusing to send credentials in plain text/);
+
+    const [session] = server.sessions;
+    assert.ok(!session.commands.some(command => command.startsWith("AUTH")), "credentials are not sent");
+    assert.equal(session.data, null);
+  });
+
+  test("DATA doubles leading dots and ends with a lone dot", () => {
+    assert.equal(smtpData("a\r\n.b\r\n.\r\n"), "a\r\n..b\r\n..\r\n.");
+    assert.equal(smtpData("a\r\n.b"), "a\r\n..b\r\n.");
+  });
+
+  // Тело письма уходит в base64, поэтому здесь проверяется, что текст доходит целиком
+  test("lines starting with a dot do not end the message early", async () => {
+    const server = await stub();
+    const text = ".\n..hidden\n.end of line\nlast";
+    await server.transport().send({ ...message, text });
+
+    assert.equal(decodeText(server.sessions[0].data), text);
+  });
+});
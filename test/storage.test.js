@@ -0,0 +1,111 @@
+// Драйверы хранилища ведут себя одинаково; перенос db.json в SQLite можно повторять
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { promisify } from "util";
+import { createStorage } from "../storage/index.js";
+import { createSqliteDriver } from "../storage/sqlite.js";
+import { ROOT } from "./helpers.js";
+
+const run = promisify(execFile);
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "duck-storage-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const defaults = { products: [], orders: [], settings: { max_cart_total: 100 } };
+
+for (const driver of ["lowdb", "sqlite"]) {
+  describe(`${driver} driver`, () => {
+    const open = async () => {
+      const storage = createStorage({
+        driver,
+        jsonFile: path.join(dir, `${driver}.json`),
+        sqliteFile: path.join(dir, `${driver}.sqlite`),
+        defaults
+      });
+      await storage.init();
+      return storage;
+    };
+
+    test("inserts, updates and removes documents", async () => {
+      const storage = await open();
+
+      await storage.orders.insert({ id: "a", amount: 1 });
+      await storage.orders.insert({ id: "b", amount: 2 });
+      assert.deepEqual((await storage.orders.list()).map(o => o.id), ["a", "b"]);
+
+      const updated = await storage.orders.update("a", (draft) => { draft.amount = 5; });
+      assert.equal(updated.amount, 5);
+      assert.equal((await storage.orders.get("a")).amount, 5);
+
+      assert.equal(await storage.orders.update("a", () => false), null, "mutate returning false aborts");
+      assert.equal(await storage.orders.update("missing", () => {}), null);
+
+      assert.equal(await storage.orders.remove("b"), true);
+      assert.equal(await storage.orders.get("b"), null);
+    });
+
+    test("rejects a duplicate id", async () => {
+      const storage = await open();
+
+      await storage.products.insert({ id: "p1", name: "first" });
+      await assert.rejects(storage.products.insert({ id: "p1", name: "second" }), /Duplicate id in products: p1/);
+      assert.equal((await storage.products.get("p1")).name, "first");
+    });
+
+    test("keeps settings as a single document", async () => {
+      const storage = await open();
+
+      assert.deepEqual(await storage.settings.get(), { max_cart_total: 100 });
+      await storage.settings.update((draft) => { draft.max_cart_total = 200; });
+      assert.equal((await storage.settings.get()).max_cart_total, 200);
+    });
+  });
+}
+
+describe("migration from db.json to SQLite", () => {
+  const jsonFile = path.join(dir, "legacy.json");
+  const sqliteFile = path.join(dir, "migrated.sqlite");
+
+  fs.writeFileSync(jsonFile, JSON.stringify({
+    products: [{ id: "c30", name: "30 crystals" }],
+    orders: [{ id: "duck_1", amount: 200 }],
+    webhook_audit: [{ reason: "bad_signature", received_at: "2025-01-01T00:00:00.000Z" }],
+    settings: { max_cart_total: 5000 }
+  }));
+
+  const migrate = () => run(process.execPath, ["storage/migrate.js", jsonFile], {
+    cwd: ROOT,
+    env: { ...process.env, SQLITE_FILE: sqliteFile }
+  });
+
+  const read = async () => {
+    const driver = createSqliteDriver({ file: sqliteFile, defaults: {} });
+    await driver.init();
+    return {
+      products: await driver.list("products"),
+      orders: await driver.list("orders"),
+      audit: await driver.list("webhook_audit"),
+      settings: await driver.getDocument("settings")
+    };
+  };
+
+  test("copies collections and documents, and a second run adds nothing", async () => {
+    const first = await migrate();
+    assert.match(first.stdout, /orders: импортировано 1, пропущено 0/);
+
+    const migrated = await read();
+    assert.deepEqual(migrated.products, [{ id: "c30", name: "30 crystals" }]);
+    assert.deepEqual(migrated.orders, [{ id: "duck_1", amount: 200 }]);
+    assert.equal(migrated.audit.length, 1);
+    assert.match(migrated.audit[0].id, /^[a-f0-9]{32}$/, "records without id get a content hash");
+    assert.deepEqual(migrated.settings, { max_cart_total: 5000 });
+
+    const second = await migrate();
+    assert.match(second.stdout, /webhook_audit: импортировано 0, пропущено 1/);
+    assert.deepEqual(await read(), migrated);
+  });
+});
@@ -0,0 +1,140 @@
+// Проверка входных данных по схемам из schemas.js и сборка OpenAPI-документа.
+// Ajv приводит типы (строка "5" в query → 5) и подставляет значения по умолчанию,
+// поэтому обработчик получает уже нормализованные req.params, req.query и req.body.
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+
+const ajv = new Ajv({ coerceTypes: true, useDefaults: true, allErrors: true, allowUnionTypes: true });
+addFormats(ajv);
+
+const SOURCES = ["params", "query", "body"];
+
+const formatError = (source, error) => {
+  const path = error.instancePath.split("/").filter(Boolean).join(".");
+  const field = error.keyword === "required"
+    ? [source, path, error.params.missingProperty].filter(Boolean).join(".")
+    : [source, path].filter(Boolean).join(".");
+
+  return { field, message: error.message };
+};
+
+export function validationFailed(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: "Validation failed",
+    errors
+  });
+}
+
+export function validateRequest(route) {
+  const validators = SOURCES
+    .filter(source => route[source])
+    .map(source => [source, ajv.compile(route[source])]);
+
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const [source, validate] of validators) {
+      if (source === "body" && (req.body === undefined || req.body === null)) {
+        req.body = {};
+      }
+
+      if (!validate(req[source])) {
+        errors.push(...validate.errors.map(error => formatError(source, error)));
+      }
+    }
+
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+    next();
+  };
+}
+
+const SECURITY = {
+  order_token: [{ orderToken: [] }],
+  customer_session: [{ customerSession: [] }],
+  admin_session: [{ adminSession: [] }],
+  webhook: []
+};
+
+const parameters = (route) => ["params", "query"].flatMap(source => {
+  const schema = route[source];
+  if (!schema) return [];
+
+  return Object.entries(schema.properties).map(([name, property]) => ({
+    name,
+    in: source === "params" ? "path" : "query",
+    required: source === "params" || (schema.required || []).includes(name),
+    schema: property
+  }));
+});
+
+const responses = (route) => {
+  const result = {
+    200: { description: "OK" },
+    ...(route.params || route.query || route.body) && { 400: { description: "Validation failed" } }
+  };
+
+  if (route.auth === "order_token") {
+    result[403] = { description: "Нет доступа к заказу" };
+  } else if (route.auth === "customer_session" || route.auth === "admin_session") {
+    result[401] = { description: "Сессия истекла" };
+  } else if (route.auth && route.auth !== "webhook") {
+    result[401] = { description: "Unauthorized" };
+    result[403] = { description: "Forbidden: у ключа нет scope" };
+  }
+  return result;
+};
+
+export function buildOpenApiDocument(routes, { title, version, description, serverUrl }) {
+  const paths = {};
+
+  for (const route of Object.values(routes)) {
+    const path = route.path.replace(/:(\w+)/g, "{$1}");
+
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = {
+      tags: route.tags,
+      summary: route.summary,
+      ...route.auth && {
+        security: SECURITY[route.auth] || [{ apiKey: [] }, { adminSession: [] }, { botSignature: [] }]
+      },
+      ...route.auth && !SECURITY[route.auth] && { "x-required-scope": route.auth },
+      parameters: parameters(route),
+      ...route.body && {
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: route.body } }
+        }
+      },
+      responses: responses(route)
+    };
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: { title, version, description },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: "http", scheme: "bearer", description: "API-ключ dk_..." },
+        botSignature: {
+          type: "apiKey",
+          in: "header",
+          name: "X-Duck-Signature",
+          description: "HMAC-SHA256 подпись бота вместе с X-Duck-Timestamp"
+        },
+        orderToken: { type: "apiKey", in: "header", name: "x-order-token" },
+        customerSession: { type: "apiKey", in: "header", name: "x-customer-session" },
+        adminSession: {
+          type: "apiKey",
+          in: "cookie",
+          name: "duck_admin",
+          description: "Сессия веб-админки; изменяющие запросы — с заголовком x-csrf-token"
+        }
+      }
+    }
+  };
+}